@@ -4,230 +4,207 @@ mqtt_broker_username = 'admin'
 mqtt_broker_password = 'instar'
 mqtt_lwt = 'webclient/lwt'
 mqtt_lwt_msg = '{"val":"offline"}'
+mqtt_protocol_version = 5
+mqtt_language = 'de'
+mqtt_reconnect = false
+mqtt_reconnect_delay = 1
+mqtt_reconnect_max_delay = 60
+mqtt_reconnect_jitter = 0.2
+mqtt_clean_session = true
+mqtt_session_expiry = 3600
 mqtt_prefix = 'cameras/'
 mqtt_camera_id = '115/'
+mqtt_cameras = [
+    {id: '115/', name: 'camera.115'}
+]
 mqtt_qos = 1
 mqtt_retain = false
+mqtt_command_timeout = 10
+mqtt_ptz = {
+    moveTopic: 'features/ptz/move/raw',
+    zoomTopic: 'features/ptz/zoom/raw',
+    moves: {
+        up: 'up', down: 'down', left: 'left', right: 'right',
+        upleft: 'upleft', upright: 'upright', downleft: 'downleft', downright: 'downright',
+        stop: 'stop'
+    },
+    zoom: {in: 'in', out: 'out', stop: 'stop'},
+    interval: 300
+}
+mqtt_history = {
+    enabled: true,
+    memory: 500,
+    pageSize: 100,
+    maxCount: 5000,
+    maxAge: 7,
+    maxSize: 2048
+}
+mqtt_diagnostics = {
+    pingInterval: 10,
+    samples: 60,
+    rateWindow: 10
+}
+mqtt_presets = {
+    gotoTopic: 'features/ptz/preset/goto/raw',
+    setTopic: 'features/ptz/preset/set/raw',
+    count: 8
+}
 mqtt_sub_topic = mqtt_prefix + '#'
 mqtt_pub_topic = mqtt_prefix + mqtt_camera_id +'multimedia/privacy/region1/enable'
 mqtt_pub_payload = '{"val":"1"}'
 
 
-// Kamera Privatsphäre Masken
-
-const buttonPrivacy1On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region1/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy1Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region1/enable/raw',
-    payload : '0',
-};
-
-const buttonPrivacy2On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region2/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy2Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region2/enable/raw',
-    payload : '0',
-};
-
-const buttonPrivacy3On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region3/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy3Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region3/enable/raw',
-    payload : '0',
-};
-
-const buttonPrivacy4On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region4/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy4Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region4/enable/raw',
-    payload : '0',
-};
-
-
-const buttonPrivacy5On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region5/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy5Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region5/enable/raw',
-    payload : '0',
-};
-
-const buttonPrivacy6On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region6/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy6Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region6/enable/raw',
-    payload : '0',
-};
-
-const buttonPrivacy7On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region7/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy7Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region7/enable/raw',
-    payload : '0',
-};
-
-const buttonPrivacy8On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region8/enable/raw',
-    payload : '1',
-};
-
-const buttonPrivacy8Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'multimedia/privacy/region8/enable/raw',
-    payload : '0',
-};
-
-
-// Kamera Preset Positionen
-
-const buttonGoToPos1 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '1',
-};
-
-const buttonGoToPos2 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '2',
-};
-
-const buttonGoToPos3 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '3',
-};
-
-const buttonGoToPos4 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '4',
-};
-
-const buttonGoToPos5 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '5',
-};
-
-const buttonGoToPos6 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '6',
-};
-
-const buttonGoToPos7 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '7',
-};
-
-const buttonGoToPos8 = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/preset/goto/raw',
-    payload : '8',
-};
-
-const buttonStop = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'features/ptz/move/raw',
-    payload : 'stop',
-};
-
-
-// Kamera Bewegungserkennung
-
-const buttonAlarmOn = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/actions/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmOff = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/actions/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmPIROn = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/actions/pir/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmPIROff = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/actions/pir/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmTrigger = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/pushalarm/raw',
-    payload : '1',
-};
-
-const buttonAlarmEmailOn = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/actions/email/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmEmailOff = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/actions/email/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmPushOn = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/push/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmPushOff = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/push/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmArea1On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/red/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmArea1Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/red/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmArea2On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/blue/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmArea2Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/blue/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmArea3On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/green/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmArea3Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/green/enable/raw',
-    payload : '0',
-};
-
-const buttonAlarmArea4On = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/yellow/enable/raw',
-    payload : '1',
-};
-
-const buttonAlarmArea4Off = {
-    topic  : mqtt_prefix + mqtt_camera_id + 'alarm/areas/yellow/enable/raw',
-    payload : '0',
-};
\ No newline at end of file
+// Schaltflächen
+//
+// Every panel becomes one section in the button area. A button publishes its
+// payload to mqtt_prefix + <camera id> + topic for the camera that is selected in
+// the page header when it is clicked, or for every camera on the connected broker
+// while "all cameras" is selected. mqtt_camera_id is only the camera selected when
+// the page opens. qos and retain fall back to mqtt_qos and mqtt_retain, confirm
+// asks before the command is sent.
+// A button with on and off payloads instead of a payload is a toggle that shows
+// the state the camera reports on its status topic.
+
+mqtt_panels = [
+    {
+        title: 'panel.privacy',
+        rows: [
+            [
+                {label: 'button.privacy1', topic: 'multimedia/privacy/region1/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy2', topic: 'multimedia/privacy/region2/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy3', topic: 'multimedia/privacy/region3/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy4', topic: 'multimedia/privacy/region4/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy5', topic: 'multimedia/privacy/region5/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy6', topic: 'multimedia/privacy/region6/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy7', topic: 'multimedia/privacy/region7/enable/raw', on: '1', off: '0'},
+                {label: 'button.privacy8', topic: 'multimedia/privacy/region8/enable/raw', on: '1', off: '0'}
+            ]
+        ]
+    },
+    {
+        title: 'panel.alarm',
+        rows: [
+            [
+                {label: 'button.alarm', topic: 'alarm/actions/enable/raw', on: '1', off: '0'},
+                {label: 'button.pir', topic: 'alarm/actions/pir/enable/raw', on: '1', off: '0'},
+                {label: 'button.email', topic: 'alarm/actions/email/enable/raw', on: '1', off: '0'},
+                {label: 'button.push', topic: 'alarm/push/enable/raw', on: '1', off: '0'},
+                {label: 'button.pushAlarm', topic: 'alarm/pushalarm/raw', payload: '1', confirm: 'button.pushAlarmConfirm'}
+            ],
+            [
+                {label: 'button.area1', topic: 'alarm/areas/red/enable/raw', on: '1', off: '0'},
+                {label: 'button.area2', topic: 'alarm/areas/blue/enable/raw', on: '1', off: '0'},
+                {label: 'button.area3', topic: 'alarm/areas/green/enable/raw', on: '1', off: '0'},
+                {label: 'button.area4', topic: 'alarm/areas/yellow/enable/raw', on: '1', off: '0'}
+            ]
+        ]
+    }
+];
+
+// Übersetzungen
+//
+// Panel titles, button labels, confirm texts and camera and scene names are
+// translation keys. Add the texts for every language here, a label that is
+// not found in the translations is shown as it is.
+
+mqtt_translations = {
+    de: {
+        'camera.115': 'Kamera 115',
+        'panel.privacy': 'Privatsphäre',
+        'panel.alarm': 'Alarm',
+        'button.privacy1': 'Privatsphäre 1',
+        'button.privacy2': 'Privatsphäre 2',
+        'button.privacy3': 'Privatsphäre 3',
+        'button.privacy4': 'Privatsphäre 4',
+        'button.privacy5': 'Privatsphäre 5',
+        'button.privacy6': 'Privatsphäre 6',
+        'button.privacy7': 'Privatsphäre 7',
+        'button.privacy8': 'Privatsphäre 8',
+        'button.alarm': 'Alarm',
+        'button.pir': 'PIR',
+        'button.email': 'Email',
+        'button.push': 'Push',
+        'button.pushAlarm': 'Alarm Auslösen',
+        'button.pushAlarmConfirm': 'Alarm wirklich auslösen?',
+        'button.area1': 'Bereich 1',
+        'button.area2': 'Bereich 2',
+        'button.area3': 'Bereich 3',
+        'button.area4': 'Bereich 4',
+        'scene.night': 'Nachtmodus',
+        'scene.day': 'Tagmodus'
+    },
+    en: {
+        'camera.115': 'Camera 115',
+        'panel.privacy': 'Privacy',
+        'panel.alarm': 'Alarm',
+        'button.privacy1': 'Privacy 1',
+        'button.privacy2': 'Privacy 2',
+        'button.privacy3': 'Privacy 3',
+        'button.privacy4': 'Privacy 4',
+        'button.privacy5': 'Privacy 5',
+        'button.privacy6': 'Privacy 6',
+        'button.privacy7': 'Privacy 7',
+        'button.privacy8': 'Privacy 8',
+        'button.alarm': 'Alarm',
+        'button.pir': 'PIR',
+        'button.email': 'Email',
+        'button.push': 'Push',
+        'button.pushAlarm': 'Trigger Alarm',
+        'button.pushAlarmConfirm': 'Really trigger the alarm?',
+        'button.area1': 'Area 1',
+        'button.area2': 'Area 2',
+        'button.area3': 'Area 3',
+        'button.area4': 'Area 4',
+        'scene.night': 'Night mode',
+        'scene.day': 'Day mode'
+    }
+};
+
+// Befehlskatalog
+
+// Additional commands for the autocomplete of the publish form. topic is
+// relative to the camera and without /raw. Allowed values are given as a
+// list of values, a min/max integer range or a regular expression pattern.
+mqtt_commands = [
+    // {topic: 'multimedia/audio/volume/in', description: 'Mikrofon Lautstärke', min: 1, max: 100}
+];
+
+// Szenen
+
+// A scene runs its steps in order on the selected cameras. A step publishes a
+// payload, pauses for delay seconds or waits up to timeout seconds until the
+// status topic given in wait reports value. Scenes edited in the browser are
+// kept in its local storage and replace this list there.
+mqtt_scenes = [
+    {
+        name: 'scene.night',
+        steps: [
+            {topic: 'alarm/areas/red/enable/raw', payload: '1'},
+            {topic: 'alarm/areas/blue/enable/raw', payload: '1'},
+            {topic: 'alarm/areas/green/enable/raw', payload: '1'},
+            {topic: 'alarm/areas/yellow/enable/raw', payload: '1'},
+            {topic: 'features/ptz/preset/goto/raw', payload: '3'},
+            {topic: 'multimedia/privacy/region1/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region2/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region3/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region4/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region5/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region6/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region7/enable/raw', payload: '0'},
+            {topic: 'multimedia/privacy/region8/enable/raw', payload: '0'},
+            {wait: 'alarm/areas/red/enable', value: '1', timeout: 10}
+        ]
+    },
+    {
+        name: 'scene.day',
+        steps: [
+            {topic: 'alarm/areas/red/enable/raw', payload: '0'},
+            {topic: 'alarm/areas/blue/enable/raw', payload: '0'},
+            {topic: 'alarm/areas/green/enable/raw', payload: '0'},
+            {topic: 'alarm/areas/yellow/enable/raw', payload: '0'},
+            {topic: 'features/ptz/preset/goto/raw', payload: '1'},
+            {delay: 5},
+            {topic: 'multimedia/privacy/region1/enable/raw', payload: '1'}
+        ]
+    }
+];
@@ -22,7 +22,24 @@ var websocketclient = {
     'lastSubId': 1,
     'subscriptions': [],
     'messages': [],
+    'buttons': [],
+    'selectedCamera': null,
+    'broadcast': false,
+    'states': {},
+    'statusPrefix': 'status/',
     'connected': false,
+    'connecting': false,
+    'connectOptions': null,
+    'reconnectEnabled': false,
+    'switchBroker': false,
+    'reconnectAttempts': 0,
+    'reconnectTimer': null,
+    'reconnectCountdown': null,
+    'broker': null,
+    'subscriptionStorageKey': 'instarSubscriptions',
+    'clientIdStorageKey': 'instarClientId',
+    // Client IDs the page makes up when none was entered, every tab gets its own.
+    'generatedClientId': /^clientId-[A-Za-z0-9]{10}$/,
 
     'prefill': function () {
         let parameters = new URLSearchParams(window.location.search)
@@ -45,20 +62,37 @@ var websocketclient = {
         var lwRetain = $('#LWRInput').is(':checked');
         var lwMessage = $('#LWMInput').val();
         var ssl = $('#sslInput').is(':checked');
+        var protocolVersion = parseInt($('#protocolVersionInput').val(), 10);
+        var reconnect = $('#reconnectInput').is(':checked');
+
+        // Before MQTT 5 a kept session never expires. Under a made-up client ID every tab would
+        // leave one behind on the broker that collects QoS 1 and 2 messages for nobody.
+        if (!cleanSession && protocolVersion < 5 && this.generatedClientId.test(clientId)) {
+            notifications.warning(i18n.t('connection.sessionNeedsClientId'), null, i18n.t('connection.sessionNeedsClientIdHint'));
+            cleanSession = true;
+        }
 
         this.client = new Messaging.Client(host, port, clientId);
         this.client.onConnectionLost = this.onConnectionLost;
         this.client.onMessageArrived = this.onMessageArrived;
+        this.client.onPacket = this.onPacket;
+        diagnostics.attach(this.client);
 
         var options = {
             timeout: 3,
             keepAliveInterval: keepAlive,
             cleanSession: cleanSession,
             useSSL: ssl,
+            protocolVersion: protocolVersion,
             onSuccess: this.onConnect,
             onFailure: this.onFail
         };
 
+        // An MQTT 5 broker ends the session with the connection unless it is told to keep it.
+        if (!cleanSession && protocolVersion >= 5) {
+            options.properties = {sessionExpiryInterval: mqtt_session_expiry};
+        }
+
         if (username.length > 0) {
             options.userName = username;
         }
@@ -73,126 +107,605 @@ var websocketclient = {
             options.willMessage = willmsg;
         }
 
+        this.connectOptions = options;
+        this.broker = host + ':' + port;
+        this.saveClientId(clientId);
+        outbox.open(this.broker);
+        this.reconnectEnabled = reconnect;
+        this.connecting = true;
         this.client.connect(options);
     },
 
     'onConnect': function () {
+        if (!websocketclient.connecting) {
+            // The reconnect was cancelled while this attempt was still running.
+            websocketclient.client.disconnect();
+            return;
+        }
+        websocketclient.connecting = false;
         websocketclient.connected = true;
+        diagnostics.onConnect(websocketclient.reconnectAttempts > 0);
+        websocketclient.reconnectAttempts = 0;
         console.log("connected");
-        var body = $('body').addClass('connected').removeClass('notconnected').removeClass('connectionbroke');
+        var body = $('body').addClass('connected').removeClass('notconnected').removeClass('connectionbroke').removeClass('reconnecting');
 
         websocketclient.render.hide('connection');
         websocketclient.render.show('publish');
+        websocketclient.render.show('history');
         websocketclient.render.show('sub');
         websocketclient.render.show('messages');
+
+        websocketclient.subscribeStatus();
+        if (websocketclient.subscriptions.length) {
+            websocketclient.resubscribe();
+        } else {
+            websocketclient.restoreSubscriptions();
+        }
+        outbox.flush();
     },
 
     'onFail': function (message) {
         websocketclient.connected = false;
         console.log("error: " + message.errorMessage);
-        websocketclient.render.showError('Verbindung fehlgeschlagen: ' + message.errorMessage);
+        if (!websocketclient.connecting) {
+            return;
+        }
+        if (websocketclient.reconnectAttempts > 0) {
+            websocketclient.scheduleReconnect();
+            return;
+        }
+        websocketclient.connecting = false;
+        notifications.mqttError('error', i18n.t('connection.failed'), message);
     },
 
     'onConnectionLost': function (responseObject) {
         websocketclient.connected = false;
+        diagnostics.onDisconnect();
         if (responseObject.errorCode !== 0) {
             console.log("onConnectionLost:" + responseObject.errorMessage);
+            notifications.mqttError(websocketclient.reconnectEnabled ? 'warning' : 'error', i18n.t('connection.lost'), responseObject);
+        }
+
+        // Keep messages and subscriptions, they are restored once the broker is back.
+        if (websocketclient.reconnectEnabled && responseObject.errorCode !== 0 && !websocketclient.switchBroker) {
+            $('body').removeClass('connected').addClass('reconnecting');
+            websocketclient.scheduleReconnect();
+            return;
         }
-        $('body.connected').removeClass('connected').addClass('notconnected').addClass('connectionbroke');
+
+        $('body').removeClass('connected').removeClass('reconnecting').addClass('notconnected').addClass('connectionbroke');
         websocketclient.render.show('connection');
         websocketclient.render.hide('publish');
+        websocketclient.render.hide('history');
         websocketclient.render.hide('sub');
-        websocketclient.render.hide('messages');
 
-        //Cleanup messages
-        websocketclient.messages = [];
-        websocketclient.render.clearMessages();
+        //Cleanup messages, unless they are kept in the message store
+        if (!messagestore.isEnabled()) {
+            websocketclient.render.hide('messages');
+            websocketclient.messages = [];
+            websocketclient.render.clearMessages();
+            messagefilter.render.count();
+        }
 
         //Cleanup subscriptions
         websocketclient.subscriptions = [];
         websocketclient.render.clearSubscriptions();
+
+        //Cleanup camera states
+        websocketclient.states = {};
+        websocketclient.render.buttonStates();
+
+        if (websocketclient.switchBroker) {
+            websocketclient.switchBroker = false;
+            websocketclient.connect();
+        }
+    },
+
+    'onPacket': function (packet) {
+        diagnostics.onPacket(packet);
+        packetinspector.add(packet);
     },
 
     'onMessageArrived': function (message) {
 //        console.log("onMessageArrived:" + message.payloadString + " qos: " + message.qos);
 
-        var subscription = websocketclient.getSubscriptionForTopic(message.destinationName);
+        commandtracker.onMessage(message);
+        websocketclient.updateState(message);
+
+        var payload = payloadviewer.decode(message);
+        topictree.add(message.destinationName, payload.payload, payload.binary, message.retained);
+
+        var subscriptions = websocketclient.getSubscriptionsForTopic(message.destinationName);
+        if (!subscriptions.length) {
+            // Only the automatic status subscription asked for this message.
+            return;
+        }
 
         var messageObj = {
             'topic': message.destinationName,
             'retained': message.retained,
             'qos': message.qos,
-            'payload': message.payloadString,
+            'payload': payload.payload,
+            'binary': payload.binary,
             'timestamp': moment(),
-            'subscriptionId': subscription.id,
-            'color': websocketclient.getColorForSubscription(subscription.id)
+            'subscriptionId': subscriptions[0].id,
+            'subscriptionIds': _.pluck(subscriptions, 'id'),
+            'color': subscriptions[0].color
         };
 
-        console.log(messageObj);
-        messageObj.id = websocketclient.render.message(messageObj);
-        websocketclient.messages.push(messageObj);
+        messagelist.add(messageObj);
+        messagestore.add(messageObj, subscriptions[0]);
     },
 
     'disconnect': function () {
-        this.client.disconnect();
+        if (this.connected) {
+            this.cancelReconnect();
+            this.client.disconnect();
+        } else if (this.connecting) {
+            // Waiting for the broker to come back, give up and clean up as after a normal disconnect.
+            this.cancelReconnect();
+            this.onConnectionLost({errorCode: 0, errorMessage: ''});
+        }
     },
 
-    'publish': function (topic, payload, qos, retain) {
+    'scheduleReconnect': function () {
+        var delay = websocketclient.getReconnectDelay(websocketclient.reconnectAttempts++);
+        var reconnectAt = new Date().getTime() + delay;
+        websocketclient.connecting = true;
+
+        websocketclient.render.reconnecting(Math.ceil(delay / 1000));
+        websocketclient.reconnectCountdown = setInterval(function () {
+            websocketclient.render.reconnecting(Math.ceil((reconnectAt - new Date().getTime()) / 1000));
+        }, 1000);
+        websocketclient.reconnectTimer = setTimeout(function () {
+            clearInterval(websocketclient.reconnectCountdown);
+            websocketclient.render.reconnecting(0);
+            websocketclient.client.connect(websocketclient.connectOptions);
+        }, delay);
+    },
 
-        if (!websocketclient.connected) {
-            websocketclient.render.showError("Keine Broker Verbindung");
+    'cancelReconnect': function () {
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.reconnectCountdown);
+        this.reconnectAttempts = 0;
+        this.connecting = false;
+    },
+
+    'getReconnectDelay': function (attempt) {
+        // Exponential backoff in milliseconds, spread by +/- mqtt_reconnect_jitter so clients don't reconnect in lockstep.
+        var delay = Math.min(mqtt_reconnect_max_delay, mqtt_reconnect_delay * Math.pow(2, attempt)) * 1000;
+        var jitter = delay * mqtt_reconnect_jitter * (Math.random() * 2 - 1);
+        return Math.round(Math.max(0, delay + jitter));
+    },
+
+    'resubscribe': function () {
+        _.forEach(websocketclient.subscriptions, function (subscription) {
+            if (!subscription.paused) {
+                websocketclient.sendSubscribe(subscription);
+            }
+        });
+    },
+
+    // Returns true when the message was sent, 'queued' when it waits in the outbox for the
+    // connection and false when it was refused. Live commands, like a PTZ move, are never queued.
+    'publish': function (topic, payload, qos, retain, source, live) {
+
+        var error = commandcatalog.validate(topic, payload);
+        if (error) {
+            websocketclient.render.showError(error);
             return false;
         }
 
+        if (!websocketclient.connected) {
+            if (live) {
+                websocketclient.render.showError(i18n.t('connection.none'));
+                return false;
+            }
+            outbox.add(topic, payload, qos, retain, source);
+            return 'queued';
+        }
+
         var message = new Messaging.Message(payload);
         message.destinationName = topic;
         message.qos = qos;
         message.retained = retain;
+
+        var command = commandtracker.track(topic, payload, source);
+        if (command && websocketclient.connectOptions.protocolVersion >= 5) {
+            message.properties = commandtracker.getProperties(command);
+        }
         this.client.send(message);
+        return true;
+    },
+
+    'pressButton': function (id) {
+        var button = websocketclient.buttons[id];
+
+        if (button.confirm && !confirm(i18n.t(button.confirm))) {
+            return false;
+        }
+
+        var qos = button.qos !== undefined ? button.qos : mqtt_qos;
+        var retain = button.retain !== undefined ? button.retain : mqtt_retain;
+        var payload = button.payload;
+        if (button.on !== undefined) {
+            payload = websocketclient.getToggleState(button).value === 'on' ? button.off : button.on;
+        }
+
+        var cameras = websocketclient.publishToCameras(button.topic, payload, qos, retain, '#result' + id);
+        if (!cameras) {
+            return false;
+        }
+        if (cameras === 'queued') {
+            // The camera only reports the new state once the command has actually been sent.
+            return true;
+        }
+        if (button.on !== undefined) {
+            _.forEach(cameras, function (camera) {
+                websocketclient.setPending(camera, button, payload);
+            });
+        }
+        websocketclient.render.buttonStates();
+        return true;
+    },
+
+    // Returns the cameras the message was sent to, 'queued' or false, see publish.
+    'publishToCameras': function (topic, payload, qos, retain, source, live) {
+        var cameras = websocketclient.getTargetCameras();
+        if (!cameras.length) {
+            websocketclient.render.showError(i18n.t('camera.none'));
+            return false;
+        }
+        var queued = false;
+        for (var i = 0; i < cameras.length; i++) {
+            var result = websocketclient.publish(websocketclient.getCameraTopic(cameras[i], topic), payload, qos, retain, source, live);
+            if (result === false) {
+                return false;
+            }
+            queued = queued || result === 'queued';
+        }
+        return queued ? 'queued' : cameras;
+    },
+
+    'getCameraTopic': function (camera, topic) {
+        return mqtt_prefix + camera.id + topic;
+    },
+
+    'selectCamera': function (id) {
+        if (id === '*') {
+            websocketclient.broadcast = true;
+            websocketclient.render.buttonStates();
+            return;
+        }
+
+        var camera = websocketclient.getCamera(id);
+        if (!camera) {
+            return;
+        }
+        websocketclient.broadcast = false;
+        websocketclient.selectedCamera = camera.id;
+        $('#cameraSelect').val(camera.id);
+        websocketclient.render.buttonStates();
+        presetmanager.render.presets();
+
+        var broker = websocketclient.getCameraBroker(camera);
+        var brokerChanged = $('#urlInput').val() !== broker.host || $('#portInput').val() !== broker.port;
+        $('#urlInput').val(broker.host);
+        $('#portInput').val(broker.port);
+
+        // This camera lives on another broker, move the connection over. The new connection is started
+        // from onConnectionLost, once the old client is done cleaning up after itself.
+        if (brokerChanged && websocketclient.connected) {
+            websocketclient.switchBroker = true;
+            websocketclient.disconnect();
+        }
+    },
+
+    'getCamera': function (id) {
+        return _.find(mqtt_cameras, {'id': id});
+    },
+
+    'getCameraBroker': function (camera) {
+        return {
+            'host': camera.broker || mqtt_broker,
+            'port': String(camera.port || mqtt_broker_ws_port)
+        };
+    },
+
+    'getTargetCameras': function () {
+        if (!websocketclient.broadcast) {
+            // Empty when mqtt_camera_id or a restored selection is not in mqtt_cameras.
+            return _.compact([websocketclient.getCamera(websocketclient.selectedCamera)]);
+        }
+
+        // A broadcast only reaches the cameras on the broker we are connected to.
+        return websocketclient.getBrokerCameras();
+    },
+
+    'getBrokerCameras': function () {
+        return _.filter(mqtt_cameras, function (camera) {
+            var broker = websocketclient.getCameraBroker(camera);
+            return broker.host === $('#urlInput').val() && broker.port === $('#portInput').val();
+        });
+    },
+
+    'subscribeStatus': function () {
+        _.forEach(websocketclient.getBrokerCameras(), function (camera) {
+            websocketclient.client.subscribe(mqtt_prefix + camera.id + websocketclient.statusPrefix + '#', {qos: 1});
+        });
+    },
+
+    'parseCommandTopic': function (topic) {
+        var camera = _.find(mqtt_cameras, function (camera) {
+            return topic.indexOf(mqtt_prefix + camera.id) === 0;
+        });
+        if (!camera) {
+            return null;
+        }
+
+        var path = topic.substring((mqtt_prefix + camera.id).length);
+        if (path.indexOf(websocketclient.statusPrefix) === 0) {
+            return null;
+        }
+        return {'camera': camera, 'path': path};
+    },
+
+    'getStateKey': function (camera, topic) {
+        // Commands sent to the raw topic report back on the same status topic as JSON commands.
+        return camera.id + topic.replace(/\/raw$/, '');
+    },
+
+    'updateState': function (message) {
+        var topic = message.destinationName;
+        var camera = _.find(mqtt_cameras, function (camera) {
+            return topic.indexOf(mqtt_prefix + camera.id + websocketclient.statusPrefix) === 0;
+        });
+        if (!camera) {
+            return false;
+        }
+
+        var path = topic.substring((mqtt_prefix + camera.id + websocketclient.statusPrefix).length);
+        var key = websocketclient.getStateKey(camera, path);
+        websocketclient.states[key] = {
+            'value': websocketclient.parseStatusPayload(message.payloadString),
+            'retained': message.retained,
+            'timestamp': moment(),
+            'pending': null
+        };
+        websocketclient.render.buttonStates();
+        return true;
+    },
+
+    'parseStatusPayload': function (payload) {
+        // INSTAR status payloads look like {"val":"1"}, raw topics carry the bare value.
+        try {
+            var json = JSON.parse(payload);
+            if (json !== null && typeof json === 'object' && json.val !== undefined) {
+                return String(json.val);
+            }
+        } catch (e) {
+        }
+        return payload;
     },
 
-    'subscribe': function (topic, qosNr, color) {
+    'setPending': function (camera, button, value) {
+        var key = websocketclient.getStateKey(camera, button.topic);
+        var state = websocketclient.states[key] = websocketclient.states[key] || {'value': null};
+        state.pending = value;
+    },
+
+    'clearPending': function (camera, topic) {
+        var state = websocketclient.states[websocketclient.getStateKey(camera, topic)];
+        if (state) {
+            state.pending = null;
+            websocketclient.render.buttonStates();
+        }
+    },
+
+    'getToggleState': function (button) {
+        var values = [];
+        var pending = false;
+        _.forEach(websocketclient.getTargetCameras(), function (camera) {
+            var state = websocketclient.states[websocketclient.getStateKey(camera, button.topic)] || {};
+            var value = (state.pending !== null && state.pending !== undefined) ? state.pending : state.value;
+            pending = pending || (state.pending !== null && state.pending !== undefined);
+            values.push(value === button.on ? 'on' : (value === button.off ? 'off' : 'unknown'));
+        });
+
+        // In broadcast mode the toggle only shows a state all cameras agree on.
+        var value = _.uniq(values).length === 1 ? values[0] : 'unknown';
+        return {'value': value, 'pending': pending};
+    },
+
+    'subscribe': function (topic, qosNr, color, state) {
 
         if (!websocketclient.connected) {
-            websocketclient.render.showError("Keine Broker Verbindung");
+            websocketclient.render.showError(i18n.t('connection.none'));
             return false;
         }
 
         if (topic.length < 1) {
-            websocketclient.render.showError("Kein Topic angegeben");
+            websocketclient.render.showError(i18n.t('subscription.noTopic'));
             return false;
         }
 
         if (_.find(this.subscriptions, { 'topic': topic })) {
-            websocketclient.render.showError('Sie haben dieses Topic bereits abonniert');
+            websocketclient.render.showError(i18n.t('subscription.duplicate'));
             return false;
         }
 
-        this.client.subscribe(topic, {qos: qosNr});
         if (color.length < 1) {
             color = '999999';
         }
 
-        var subscription = {'topic': topic, 'qos': qosNr, 'color': color};
+        var subscription = _.assign({'topic': topic, 'qos': qosNr, 'color': color, 'paused': false, 'muted': false, 'grantedQos': null}, state);
         subscription.id = websocketclient.render.subscription(subscription);
         this.subscriptions.push(subscription);
+        if (!subscription.paused) {
+            this.sendSubscribe(subscription);
+        }
+        this.saveSubscriptions();
         return true;
     },
 
+    'sendSubscribe': function (subscription) {
+        var topic = subscription.topic;
+        subscription.grantedQos = null;
+        websocketclient.render.updateSubscription(subscription);
+
+        this.client.subscribe(topic, {
+            qos: subscription.qos,
+            onSuccess: function (response) {
+                // Ignore the answer to a subscription that was edited in the meantime.
+                if (subscription.topic === topic) {
+                    subscription.grantedQos = response.grantedQos;
+                    websocketclient.render.updateSubscription(subscription);
+                }
+            },
+            onFailure: function (response) {
+                console.log("subscribe failed: " + response.errorMessage);
+                notifications.mqttError('warning', i18n.t('subscription.failed', [topic]), response);
+                if (subscription.topic === topic) {
+                    subscription.grantedQos = 0x80;
+                    websocketclient.render.updateSubscription(subscription);
+                }
+            }
+        });
+    },
+
     'unsubscribe': function (id) {
         var subs = _.find(websocketclient.subscriptions, {'id': id});
-        this.client.unsubscribe(subs.topic);
+        if (!subs.paused) {
+            this.client.unsubscribe(subs.topic);
+        }
         websocketclient.subscriptions = _.filter(websocketclient.subscriptions, function (item) {
             return item.id != id;
         });
+        this.saveSubscriptions();
 
         websocketclient.render.removeSubscriptionsMessages(id);
     },
 
+    'editSubscription': function (id) {
+        websocketclient.render.subscriptionEditor(_.find(websocketclient.subscriptions, {'id': id}));
+    },
+
+    'saveSubscription': function (id, topic, qosNr, color) {
+        var subscription = _.find(websocketclient.subscriptions, {'id': id});
+
+        if (topic.length < 1) {
+            websocketclient.render.showError(i18n.t('subscription.noTopic'));
+            return false;
+        }
+
+        var existing = _.find(this.subscriptions, {'topic': topic});
+        if (existing && existing.id !== id) {
+            websocketclient.render.showError(i18n.t('subscription.duplicate'));
+            return false;
+        }
+
+        var changed = subscription.topic !== topic || subscription.qos !== qosNr;
+        if (changed && !subscription.paused && websocketclient.connected) {
+            // Subscribing the same filter again only replaces its QoS, a new topic needs an unsubscribe first.
+            if (subscription.topic !== topic) {
+                this.client.unsubscribe(subscription.topic);
+            }
+            subscription.topic = topic;
+            subscription.qos = qosNr;
+            this.sendSubscribe(subscription);
+        } else {
+            subscription.topic = topic;
+            subscription.qos = qosNr;
+        }
+
+        subscription.color = color.length < 1 ? '999999' : color;
+        _.forEach(websocketclient.messages, function (message) {
+            if (message.subscriptionId === id) {
+                message.color = subscription.color;
+            }
+        });
+
+        this.saveSubscriptions();
+        websocketclient.render.updateSubscription(subscription);
+        websocketclient.render.messages();
+        return true;
+    },
+
+    'pauseSubscription': function (id) {
+        var subscription = _.find(websocketclient.subscriptions, {'id': id});
+        subscription.paused = !subscription.paused;
+        if (subscription.paused) {
+            this.client.unsubscribe(subscription.topic);
+            subscription.grantedQos = null;
+        } else {
+            this.sendSubscribe(subscription);
+        }
+        this.saveSubscriptions();
+        websocketclient.render.updateSubscription(subscription);
+    },
+
+    'muteSubscription': function (id) {
+        var subscription = _.find(websocketclient.subscriptions, {'id': id});
+        subscription.muted = !subscription.muted;
+        this.saveSubscriptions();
+        websocketclient.render.updateSubscription(subscription);
+    },
+
+    'loadSubscriptions': function () {
+        try {
+            return JSON.parse(localStorage.getItem(websocketclient.subscriptionStorageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    'saveSubscriptions': function () {
+        // Subscriptions are kept per broker, so every camera broker gets its own list.
+        var stored = websocketclient.loadSubscriptions();
+        stored[websocketclient.broker] = _.map(websocketclient.subscriptions, function (subscription) {
+            return _.pick(subscription, 'topic', 'qos', 'color', 'paused', 'muted');
+        });
+        try {
+            localStorage.setItem(websocketclient.subscriptionStorageKey, JSON.stringify(stored));
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('subscription.saveFailed', [e.message]));
+        }
+    },
+
+    // The client id is kept across reloads, the MQTT library finds its unacknowledged QoS 1 and 2 messages by it.
+    // It is kept per tab, two tabs with the same id would keep taking the session away from each other.
+    'loadClientId': function () {
+        try {
+            return sessionStorage.getItem(websocketclient.clientIdStorageKey);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    'saveClientId': function (clientId) {
+        try {
+            sessionStorage.setItem(websocketclient.clientIdStorageKey, clientId);
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('connection.clientIdSaveFailed', [e.message]));
+        }
+    },
+
+    'restoreSubscriptions': function () {
+        // The subscriptions saved for the broker win over the defaults of its connection profile, even an
+        // empty list: whoever unsubscribed from everything does not want the defaults back. The profile only
+        // fills in for a broker that never had subscriptions saved.
+        var saved = websocketclient.loadSubscriptions();
+        var subscriptions = _.has(saved, websocketclient.broker) ? saved[websocketclient.broker] : profilemanager.getSubscriptions(websocketclient.broker);
+        _.forEach(subscriptions, function (subscription) {
+            websocketclient.subscribe(subscription.topic, subscription.qos, subscription.color,
+                {'paused': subscription.paused, 'muted': subscription.muted});
+        });
+    },
+
     'deleteSubscription': function (id) {
         var elem = $("#sub" + id);
 
-        if (confirm('Sind Sie sicher ?')) {
+        if (confirm(i18n.t('common.confirm'))) {
             elem.remove();
             this.unsubscribe(id);
         }
@@ -205,19 +718,26 @@ var websocketclient = {
         return r + g + b;
     },
 
-    'getSubscriptionForTopic': function (topic) {
-        var i;
-        for (i = 0; i < this.subscriptions.length; i++) {
-            if (this.compareTopics(topic, this.subscriptions[i].topic)) {
-                return this.subscriptions[i];
-            }
-        }
-        return false;
+    'download': function (content, filename, type) {
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], {'type': type}));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    },
+
+    'getSubscriptionsForTopic': function (topic) {
+        // Muted subscriptions stay on the broker but their messages are not logged.
+        return _.filter(this.subscriptions, function (subscription) {
+            return !subscription.muted && !subscription.paused && websocketclient.compareTopics(topic, subscription.topic);
+        });
     },
 
     'getColorForPublishTopic': function (topic) {
-        var id = this.getSubscriptionForTopic(topic);
-        return this.getColorForSubscription(id);
+        var subscriptions = this.getSubscriptionsForTopic(topic);
+        return this.getColorForSubscription(subscriptions.length ? subscriptions[0].id : null);
     },
 
     'getColorForSubscription': function (id) {
@@ -238,45 +758,124 @@ var websocketclient = {
     },
 
     'compareTopics': function (topic, subTopic) {
-        var pattern = subTopic.replace("+", "(.*?)").replace("#", "(.*)");
-        var regex = new RegExp("^" + pattern + "$");
-        return regex.test(topic);
+        // A shared subscription $share/<group>/<filter> receives the topics of <filter>.
+        var shared = /^\$share\/[^\/+#]+\/(.+)$/.exec(subTopic);
+        var filter = (shared ? shared[1] : subTopic).split('/');
+        var levels = topic.split('/');
+
+        // Wildcards on the first level never match system topics like $SYS/...
+        if (topic.charAt(0) === '$' && (filter[0] === '+' || filter[0] === '#')) {
+            return false;
+        }
+
+        for (var i = 0; i < filter.length; i++) {
+            if (filter[i] === '#') {
+                // Only valid as the last level, then it also matches the parent: a/# matches a.
+                return i === filter.length - 1;
+            }
+            if (i >= levels.length || (filter[i] !== '+' && filter[i] !== levels[i])) {
+                return false;
+            }
+        }
+        return levels.length === filter.length;
     },
 
     'render': {
 
         'showError': function (message) {
-            alert(message);
+            notifications.error(message);
+        },
+        'reconnecting': function (seconds) {
+            var status = seconds > 0 ? i18n.t('connection.reconnectIn', [seconds]) : i18n.t('connection.connecting');
+            $('#connectionStatus').attr('data-status', status);
         },
         'messages': function () {
-
-            websocketclient.render.clearMessages();
-            _.forEach(websocketclient.messages, function (message) {
-                message.id = websocketclient.render.message(message);
-            });
-
+            messagelist.render.rows();
         },
+
         'message': function (message) {
 
-            var largest = websocketclient.lastMessageId++;
+            var largest = messagelist.getId(message);
+            var topicClass = messagefilter.active && messagefilter.active.topic ? ' filterMatch' : '';
 
-            var html = '<li class="messLine id="' + largest + '">' +
+            var html = '<li class="messLine" id="messLine' + largest + '">' +
                 '   <div class="row large-12 mess' + largest + '" style="border-left: solid 10px #' + message.color + '; ">' +
                 '       <div class="large-12 columns messageText">' +
-                '           <div class="large-3 columns date">' + message.timestamp.format("YYYY-MM-DD HH:mm:ss") + '</div>' +
-                '           <div class="large-5 columns topicM truncate" id="topicM' + largest + '" title="' + Encoder.htmlEncode(message.topic, 0) + '">Topic: ' + Encoder.htmlEncode(message.topic) + '</div>' +
+                '           <div class="large-3 columns date">' + i18n.formatDate(message.timestamp) + '</div>' +
+                '           <div class="large-5 columns topicM truncate' + topicClass + '" id="topicM' + largest + '" title="' + Encoder.htmlEncode(message.topic, 0) + '">Topic: ' + Encoder.htmlEncode(message.topic) + '</div>' +
                 '           <div class="large-2 columns qos">Qos: ' + message.qos + '</div>' +
                 '           <div class="large-2 columns retain">';
             if (message.retained) {
                 html += 'Retained';
             }
             html += '           </div>' +
-                '           <div class="large-12 columns message break-words">' + Encoder.htmlEncode(message.payload) + '</div>' +
+                '           <div class="large-12 columns message break-words">' + payloadviewer.render.payload(message) + '</div>' +
+                '           <div class="large-12 columns messageActions">';
+            // The border shows the first matching subscription, the others get a marker.
+            _.forEach(_.rest(message.subscriptionIds || []), function (id) {
+                var subscription = _.find(websocketclient.subscriptions, {'id': id});
+                if (subscription) {
+                    html += '<span class="subMarker" style="background-color: #' + subscription.color + '" title="' + Encoder.htmlEncode(subscription.topic, 0) + '"></span>';
+                }
+            });
+            html += '               <a href="#" onclick="payloadviewer.copy(' + largest + ', \'topic\', this); return false;">' + i18n.t('message.copyTopic') + '</a>' +
+                '               <a href="#" onclick="payloadviewer.copy(' + largest + ', \'payload\', this); return false;">' + i18n.t('message.copyPayload') + '</a>' +
+                '           </div>' +
                 '       </div>' +
                 '   </div>' +
                 '</li>';
-            $("#messEdit").prepend(html);
-            return largest;
+            return html;
+        },
+
+        'buttons': function (panels) {
+            websocketclient.buttons = [];
+            var html = '';
+            _.forEach(panels, function (panel) {
+                html += '<form class="columns custom">' +
+                    '   <h3>' + Encoder.htmlEncode(i18n.t(panel.title)) + '</h3>' +
+                    '   <hr />';
+                _.forEach(panel.rows, function (row) {
+                    html += '<div class="flex">';
+                    _.forEach(row, function (button) {
+                        html += websocketclient.render.button(button);
+                    });
+                    html += '</div>';
+                });
+                html += '</form>';
+            });
+            $("#buttonsMain").html(html);
+        },
+
+        'button': function (button) {
+            var id = websocketclient.buttons.push(button) - 1;
+            var cssClass = button.on !== undefined ? 'small button toggle' : 'small button';
+            return '<a class="' + cssClass + '" id="button' + id + '" title="' + Encoder.htmlEncode(button.topic, 0) + '"' +
+                ' onclick="websocketclient.pressButton(' + id + '); return false;">' + Encoder.htmlEncode(i18n.t(button.label)) +
+                '<span class="commandResult" id="result' + id + '"></span></a>';
+        },
+
+        'buttonStates': function () {
+            _.forEach(websocketclient.buttons, function (button, id) {
+                if (button.on === undefined) {
+                    return;
+                }
+                var state = websocketclient.getToggleState(button);
+                $('#button' + id)
+                    .toggleClass('on', state.value === 'on')
+                    .toggleClass('off', state.value === 'off')
+                    .toggleClass('pending', state.pending);
+            });
+        },
+
+        'cameras': function (cameras) {
+            var html = '';
+            _.forEach(cameras, function (camera) {
+                html += '<option value="' + Encoder.htmlEncode(camera.id, 0) + '">' + Encoder.htmlEncode(camera.name ? i18n.t(camera.name) : camera.id) + '</option>';
+            });
+            if (cameras.length > 1) {
+                html += '<option value="*">' + i18n.t('camera.all') + '</option>';
+            }
+            $("#cameraSelect").html(html);
         },
 
         'subscriptions': function () {
@@ -288,26 +887,79 @@ var websocketclient = {
 
         'subscription': function (subscription) {
             var largest = websocketclient.lastSubId++;
-            $("#innerEdit").append(
-                '<li class="subLine" id="sub' + largest + '">' +
-                    '   <div class="row large-12 subs' + largest + '" style="border-left: solid 10px #' + subscription.color + '; background-color: #ffffff">' +
+            $("#innerEdit").append('<li class="subLine" id="sub' + largest + '"></li>');
+            subscription.id = largest;
+            websocketclient.render.updateSubscription(subscription);
+            return largest;
+        },
+
+        'updateSubscription': function (subscription) {
+            var id = subscription.id;
+            var qos = 'Qos: ' + subscription.qos;
+            if (subscription.paused) {
+                qos += ' (' + i18n.t('subscription.paused') + ')';
+            } else if (subscription.grantedQos >= 0x80) {
+                qos += ' (' + i18n.t('subscription.refused') + ')';
+            } else if (subscription.grantedQos !== null && subscription.grantedQos !== undefined && subscription.grantedQos !== subscription.qos) {
+                qos += ' (' + i18n.t('subscription.granted', [subscription.grantedQos]) + ')';
+            }
+
+            $('#sub' + id)
+                .toggleClass('paused', !!subscription.paused)
+                .toggleClass('muted', !!subscription.muted)
+                .html(
+                    '   <div class="row large-12 subs' + id + '" style="border-left: solid 10px #' + subscription.color + '; background-color: #ffffff">' +
                     '       <div class="large-12 columns subText">' +
                     '           <div class="large-1 columns right closer">' +
-                    '              <a href="#" onclick="websocketclient.deleteSubscription(' + largest + '); return false;">x</a>' +
+                    '              <a href="#" onclick="websocketclient.deleteSubscription(' + id + '); return false;">x</a>' +
+                    '           </div>' +
+                    '           <div class="qos' + (subscription.grantedQos >= 0x80 ? ' refused' : '') + '">' + qos + '</div>' +
+                    '           <div class="topic truncate" id="topic' + id + '" title="' + Encoder.htmlEncode(subscription.topic, 0) + '">' + Encoder.htmlEncode(subscription.topic) + '</div>' +
+                    '           <div class="subActions">' +
+                    '              <a href="#" onclick="websocketclient.editSubscription(' + id + '); return false;">' + i18n.t('subscription.edit') + '</a>' +
+                    '              <a href="#" onclick="websocketclient.pauseSubscription(' + id + '); return false;">' + i18n.t(subscription.paused ? 'subscription.resume' : 'subscription.pause') + '</a>' +
+                    '              <a href="#" onclick="websocketclient.muteSubscription(' + id + '); return false;">' + i18n.t(subscription.muted ? 'subscription.unmute' : 'subscription.mute') + '</a>' +
                     '           </div>' +
-                    '           <div class="qos">Qos: ' + subscription.qos + '</div>' +
-                    '           <div class="topic truncate" id="topic' + largest + '" title="' + Encoder.htmlEncode(subscription.topic, 0) + '">' + Encoder.htmlEncode(subscription.topic) + '</div>' +
                     '       </div>' +
-                    '   </div>' +
-                    '</li>');
-            return largest;
+                    '   </div>');
+        },
+
+        'subscriptionEditor': function (subscription) {
+            var id = subscription.id;
+            var html = '   <div class="row large-12 subs' + id + '" style="border-left: solid 10px #' + subscription.color + '; background-color: #ffffff">' +
+                '       <div class="large-12 columns subText subEditor">' +
+                '           <label>Topic</label>' +
+                '           <input id="subEditTopic' + id + '" type="text" value="' + Encoder.htmlEncode(subscription.topic, 0) + '">' +
+                '           <label>QoS</label>' +
+                '           <select id="subEditQoS' + id + '">';
+            _.forEach([0, 1, 2], function (qos) {
+                html += '<option' + (qos === subscription.qos ? ' selected' : '') + '>' + qos + '</option>';
+            });
+            html += '           </select>' +
+                '           <label>' + i18n.t('subscription.color') + '</label>' +
+                '           <input id="subEditColor' + id + '" type="hidden" value="#' + subscription.color + '">' +
+                '           <div class="subActions">' +
+                '              <a href="#" onclick="websocketclient.saveSubscription(' + id + ', $(\'#subEditTopic' + id + '\').val(), parseInt($(\'#subEditQoS' + id + '\').val(), 10), $(\'#subEditColor' + id + '\').val().substring(1)); return false;">' + i18n.t('common.save') + '</a>' +
+                '              <a href="#" onclick="websocketclient.render.updateSubscription(_.find(websocketclient.subscriptions, {\'id\': ' + id + '})); return false;">' + i18n.t('common.cancel') + '</a>' +
+                '           </div>' +
+                '       </div>' +
+                '   </div>';
+            $('#sub' + id).html(html);
+            $('#subEditColor' + id).minicolors();
         },
 
         'toggleAll': function () {
             websocketclient.render.toggle('connection');
             websocketclient.render.toggle('publish');
+            websocketclient.render.toggle('history');
+            websocketclient.render.toggle('schedule');
             websocketclient.render.toggle('messages');
             websocketclient.render.toggle('sub');
+            websocketclient.render.toggle('tree');
+            websocketclient.render.toggle('outbox');
+            websocketclient.render.toggle('errors');
+            websocketclient.render.toggle('diag');
+            websocketclient.render.toggle('inspector');
         },
 
         'toggle': function (name) {
@@ -332,14 +984,24 @@ var websocketclient = {
         },
 
         'removeSubscriptionsMessages': function (id) {
+            // A message that also matches another subscription stays and takes its color.
+            _.forEach(websocketclient.messages, function (item) {
+                if (item.subscriptionIds) {
+                    item.subscriptionIds = _.without(item.subscriptionIds, id);
+                    item.subscriptionId = item.subscriptionIds.length ? item.subscriptionIds[0] : null;
+                    item.color = websocketclient.getColorForSubscription(item.subscriptionId);
+                }
+            });
             websocketclient.messages = _.filter(websocketclient.messages, function (item) {
-                return item.subscriptionId != id;
+                return !item.subscriptionIds || item.subscriptionIds.length > 0;
             });
             websocketclient.render.messages();
+            messagefilter.render.count();
         },
 
         'clearMessages': function () {
             $("#messEdit").empty();
+            messagelist.newest = null;
         },
 
         'clearSubscriptions': function () {
@@ -0,0 +1,181 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Catalog of INSTAR MQTT commands. Every entry describes a command path
+ * relative to the camera, without the /raw suffix, and the values it accepts:
+ * a list of values, an integer range (min/max) or a pattern. Entries from
+ * mqtt_commands in config.js are added to the catalog or replace built-in
+ * entries with the same topic.
+ */
+var commandcatalog = {
+    'commands': [],
+
+    'builtin': function () {
+        var onOff = {'values': ['0', '1'], 'labels': {'0': 'catalog.off', '1': 'catalog.on'}};
+        var commands = [
+            _.assign({'topic': 'alarm/actions/enable', 'description': 'catalog.alarmActions'}, onOff),
+            _.assign({'topic': 'alarm/actions/pir/enable', 'description': 'catalog.pir'}, onOff),
+            _.assign({'topic': 'alarm/actions/email/enable', 'description': 'catalog.email'}, onOff),
+            _.assign({'topic': 'alarm/push/enable', 'description': 'catalog.push'}, onOff),
+            {'topic': 'alarm/pushalarm', 'description': 'catalog.pushAlarm', 'values': ['1']},
+            {'topic': 'features/ptz/move', 'description': 'catalog.move', 'values': ['up', 'down', 'left', 'right', 'upleft', 'upright', 'downleft', 'downright', 'stop']},
+            {'topic': 'features/ptz/zoom', 'description': 'catalog.zoom', 'values': ['in', 'out', 'stop']},
+            {'topic': 'features/ptz/preset/goto', 'description': 'catalog.presetGoto', 'min': 1, 'max': mqtt_presets.count},
+            {'topic': 'features/ptz/preset/set', 'description': 'catalog.presetSet', 'min': 1, 'max': mqtt_presets.count}
+        ];
+
+        _.forEach({'red': 1, 'blue': 2, 'green': 3, 'yellow': 4}, function (area, color) {
+            commands.push(_.assign({'topic': 'alarm/areas/' + color + '/enable', 'description': 'catalog.area', 'params': [area]}, onOff));
+        });
+        _.forEach(_.range(1, 9), function (region) {
+            commands.push(_.assign({'topic': 'multimedia/privacy/region' + region + '/enable', 'description': 'catalog.privacy', 'params': [region]}, onOff));
+        });
+        return commands;
+    },
+
+    'init': function () {
+        var commands = commandcatalog.builtin();
+        _.forEach(typeof mqtt_commands !== 'undefined' ? mqtt_commands : [], function (command) {
+            commands = _.reject(commands, {'topic': command.topic});
+            commands.push(command);
+        });
+        commandcatalog.commands = _.sortBy(commands, 'topic');
+        commandcatalog.bind();
+    },
+
+    'find': function (topic) {
+        var command = websocketclient.parseCommandTopic(topic);
+        if (!command) {
+            return null;
+        }
+        var entry = _.find(commandcatalog.commands, {'topic': command.path.replace(/\/raw$/, '')});
+        return entry ? {'entry': entry, 'raw': /\/raw$/.test(command.path)} : null;
+    },
+
+    'getValue': function (payload, raw) {
+        if (raw) {
+            return payload;
+        }
+        // JSON topics carry the value as {"val":"..."}.
+        try {
+            var json = JSON.parse(payload);
+            if (json !== null && typeof json === 'object' && json.val !== undefined) {
+                return String(json.val);
+            }
+        } catch (e) {
+        }
+        return undefined;
+    },
+
+    'validate': function (topic, payload) {
+        var found = commandcatalog.find(topic);
+        if (!found) {
+            return null;
+        }
+
+        var entry = found.entry;
+        var value = commandcatalog.getValue(payload, found.raw);
+        if (value === undefined) {
+            return i18n.t('catalog.jsonPayload', [entry.topic]);
+        }
+        if (entry.values && !_.contains(entry.values, value)) {
+            return i18n.t('catalog.invalidAllowed', [value, entry.topic, entry.values.join(', ')]);
+        }
+        if (entry.min !== undefined || entry.max !== undefined) {
+            var number = Number(value);
+            if (!/^-?\d+$/.test(value) || (entry.min !== undefined && number < entry.min) || (entry.max !== undefined && number > entry.max)) {
+                return i18n.t('catalog.invalidAllowed', [value, entry.topic, commandcatalog.getAllowedText(entry)]);
+            }
+        }
+        if (entry.pattern && !new RegExp(entry.pattern).test(value)) {
+            return i18n.t('catalog.invalid', [value, entry.topic]);
+        }
+        return null;
+    },
+
+    'getAllowedText': function (entry) {
+        if (entry.values) {
+            return _.map(entry.values, function (value) {
+                return entry.labels && entry.labels[value] ? value + ' (' + i18n.t(entry.labels[value]) + ')' : value;
+            }).join(', ');
+        }
+        if (entry.min !== undefined || entry.max !== undefined) {
+            return (entry.min !== undefined ? entry.min : '') + ' - ' + (entry.max !== undefined ? entry.max : '');
+        }
+        return entry.pattern ? entry.pattern : i18n.t('catalog.any');
+    },
+
+    // Descriptions are translation keys, plain text from config.js is shown as it is.
+    'getDescription': function (entry) {
+        return i18n.t(entry.description, entry.params);
+    },
+
+    'suggest': function (term) {
+        var camera = websocketclient.getTargetCameras()[0];
+        var suggestions = [];
+        if (!camera) {
+            return suggestions;
+        }
+
+        term = term.toLowerCase();
+        _.forEach(commandcatalog.commands, function (entry) {
+            var topic = websocketclient.getCameraTopic(camera, entry.topic);
+            var description = commandcatalog.getDescription(entry);
+            if (topic.toLowerCase().indexOf(term) === -1 && description.toLowerCase().indexOf(term) === -1) {
+                return;
+            }
+            suggestions.push({'label': topic + ' - ' + description, 'value': topic});
+            suggestions.push({'label': topic + '/raw - ' + description, 'value': topic + '/raw'});
+        });
+        return suggestions;
+    },
+
+    'bind': function () {
+        $('#publishTopic').autocomplete({
+            'minLength': 0,
+            'source': function (request, response) {
+                response(commandcatalog.suggest(request.term));
+            },
+            'select': function (event, ui) {
+                $('#publishTopic').val(ui.item.value);
+                commandcatalog.prefill(ui.item.value);
+                return false;
+            }
+        });
+        $('#publishTopic, #publishPayload').on('input change', commandcatalog.render.hint);
+    },
+
+    'prefill': function (topic) {
+        var found = commandcatalog.find(topic);
+        if (found && found.entry.values) {
+            var value = found.entry.values[0];
+            $('#publishPayload').val(found.raw ? value : JSON.stringify({'val': value}));
+        }
+        commandcatalog.render.hint();
+    },
+
+    'render': {
+
+        'hint': function () {
+            var topic = $('#publishTopic').val();
+            var found = commandcatalog.find(topic);
+            var error = commandcatalog.validate(topic, $('#publishPayload').val());
+
+            var text = found ? i18n.t('catalog.hint', [commandcatalog.getDescription(found.entry), commandcatalog.getAllowedText(found.entry)]) : '';
+            $('#publishHint').text(error || text).toggleClass('error', !!error);
+            $('#publishPayload').toggleClass('error', !!error);
+        }
+    }
+};
@@ -0,0 +1,270 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Fills the "Diagnose" panel: uptime and reconnects of the connection, the
+ * round-trip time of PINGREQ/PINGRESP, message rates and bytes on the socket
+ * and a live view of the trace log of the MQTT library.
+ */
+var diagnostics = {
+    'timer': null,
+    'connectedAt': null,
+    'reconnects': 0,
+    'pingSentAt': null,
+    'lastPing': 0,
+    'tracing': false,
+    'samples': [],
+    'traffic': [],
+    'totals': {},
+
+    // MQTT control packet types, see MESSAGE_TYPE in mqttws31.js.
+    'types': {
+        'publish': 3,
+        'pingreq': 12,
+        'pingresp': 13
+    },
+
+    // Counts from zero for a new client.
+    'attach': function (client) {
+        diagnostics.tracing = false;
+        diagnostics.sync();
+        diagnostics.reconnects = 0;
+        diagnostics.samples = [];
+        diagnostics.reset();
+        diagnostics.render.all();
+    },
+
+    'reset': function () {
+        diagnostics.pingSentAt = null;
+        diagnostics.traffic = [];
+        diagnostics.totals = {'messagesIn': 0, 'messagesOut': 0, 'bytesIn': 0, 'bytesOut': 0};
+    },
+
+    'onConnect': function (reconnected) {
+        if (reconnected) {
+            diagnostics.reconnects++;
+        }
+        diagnostics.connectedAt = new Date().getTime();
+        diagnostics.lastPing = diagnostics.connectedAt;
+        diagnostics.pingSentAt = null;
+        clearInterval(diagnostics.timer);
+        diagnostics.timer = setInterval(diagnostics.tick, 1000);
+        diagnostics.render.all();
+    },
+
+    'onDisconnect': function () {
+        diagnostics.connectedAt = null;
+        diagnostics.pingSentAt = null;
+        clearInterval(diagnostics.timer);
+        diagnostics.timer = null;
+        diagnostics.render.all();
+    },
+
+    'onPacket': function (packet) {
+        var now = new Date().getTime();
+        var second = Math.floor(now / 1000);
+        var bucket = _.last(diagnostics.traffic);
+        if (!bucket || bucket.second !== second) {
+            bucket = {'second': second, 'in': 0, 'out': 0};
+            diagnostics.traffic.push(bucket);
+            diagnostics.traffic = _.filter(diagnostics.traffic, function (entry) {
+                return entry.second > second - mqtt_diagnostics.rateWindow;
+            });
+        }
+
+        var incoming = packet.direction === 'in';
+        diagnostics.totals[incoming ? 'bytesIn' : 'bytesOut'] += packet.bytes.length;
+        if (packet.type === diagnostics.types.publish) {
+            diagnostics.totals[incoming ? 'messagesIn' : 'messagesOut']++;
+            bucket[packet.direction]++;
+        }
+
+        if (!incoming && packet.type === diagnostics.types.pingreq) {
+            diagnostics.pingSentAt = now;
+            diagnostics.lastPing = now;
+        } else if (incoming && packet.type === diagnostics.types.pingresp && diagnostics.pingSentAt !== null) {
+            diagnostics.samples.push(now - diagnostics.pingSentAt);
+            if (diagnostics.samples.length > mqtt_diagnostics.samples) {
+                diagnostics.samples.shift();
+            }
+            diagnostics.pingSentAt = null;
+            diagnostics.render.graph();
+        }
+    },
+
+    'toggle': function () {
+        websocketclient.render.toggle('diag');
+        diagnostics.sync();
+        diagnostics.render.all();
+    },
+
+    // Tracing and the extra pings cost something on every connection, they only run while the panel is open.
+    'sync': function () {
+        var client = websocketclient.client;
+        var open = diagnostics.isOpen();
+        if (client && open !== diagnostics.tracing) {
+            if (open) {
+                client.startTrace();
+            } else {
+                client.stopTrace();
+            }
+            diagnostics.tracing = open;
+        }
+    },
+
+    'tick': function () {
+        diagnostics.sync();
+        if (!diagnostics.tracing) {
+            return;
+        }
+
+        // The keep-alive only pings an idle connection, measure in between as well.
+        var now = new Date().getTime();
+        if (mqtt_diagnostics.pingInterval > 0 && diagnostics.pingSentAt === null &&
+            now - diagnostics.lastPing >= mqtt_diagnostics.pingInterval * 1000) {
+            diagnostics.ping();
+        }
+        diagnostics.render.stats();
+        diagnostics.render.trace();
+    },
+
+    'ping': function () {
+        if (!websocketclient.connected) {
+            websocketclient.render.showError(i18n.t('connection.none'));
+            return;
+        }
+        try {
+            websocketclient.client.ping();
+        } catch (error) {
+            websocketclient.render.showError(error.message);
+        }
+    },
+
+    // PUBLISH packets per second over the last mqtt_diagnostics.rateWindow seconds.
+    'rate': function (direction) {
+        var since = Math.floor(new Date().getTime() / 1000) - mqtt_diagnostics.rateWindow;
+        var count = 0;
+        _.forEach(diagnostics.traffic, function (entry) {
+            if (entry.second > since) {
+                count += entry[direction];
+            }
+        });
+        return count / mqtt_diagnostics.rateWindow;
+    },
+
+    'downloadTrace': function () {
+        if (!websocketclient.client) {
+            websocketclient.render.showError(i18n.t('connection.none'));
+            return;
+        }
+        var lines = websocketclient.client.getTraceLog() || [];
+        websocketclient.download(lines.join('\n'), 'mqtt-trace-' + moment().format('YYYYMMDD-HHmmss') + '.txt', 'text/plain');
+    },
+
+    'isOpen': function () {
+        return !$('.diagTop').hasClass('closed');
+    },
+
+    'formatUptime': function (milliseconds) {
+        var seconds = Math.floor(milliseconds / 1000);
+        var pad = function (value) {
+            return (value < 10 ? '0' : '') + value;
+        };
+        return Math.floor(seconds / 3600) + ':' + pad(Math.floor(seconds / 60) % 60) + ':' + pad(seconds % 60);
+    },
+
+    'formatBytes': function (bytes) {
+        if (bytes < 1024) {
+            return bytes + ' B';
+        }
+        if (bytes < 1024 * 1024) {
+            return (bytes / 1024).toFixed(1) + ' KB';
+        }
+        return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    },
+
+    'render': {
+
+        'all': function () {
+            diagnostics.render.stats();
+            diagnostics.render.graph();
+            diagnostics.render.trace();
+        },
+
+        'stats': function () {
+            var totals = diagnostics.totals;
+            var last = _.last(diagnostics.samples);
+            $('#diagUptime').text(diagnostics.connectedAt !== null ?
+                diagnostics.formatUptime(new Date().getTime() - diagnostics.connectedAt) : i18n.t('diagnostics.offline'));
+            $('#diagReconnects').text(diagnostics.reconnects);
+            $('#diagRtt').text(typeof last !== 'undefined' ? last + ' ms' : '-');
+            $('#diagRateIn').text(i18n.t('diagnostics.perSecond', [diagnostics.rate('in').toFixed(1)]));
+            $('#diagRateOut').text(i18n.t('diagnostics.perSecond', [diagnostics.rate('out').toFixed(1)]));
+            $('#diagMessages').text(totals.messagesIn + ' / ' + totals.messagesOut);
+            $('#diagBytes').text(diagnostics.formatBytes(totals.bytesIn) + ' / ' + diagnostics.formatBytes(totals.bytesOut));
+        },
+
+        'graph': function () {
+            var canvas = document.getElementById('diagGraph');
+            var context = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+            if (!context) {
+                return;
+            }
+            var samples = diagnostics.samples;
+            var max = Math.max(10, _.max(samples) || 0);
+            var step = canvas.width / Math.max(1, mqtt_diagnostics.samples - 1);
+
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = '#999999';
+            context.font = '10px sans-serif';
+            context.fillText(max + ' ms', 2, 10);
+            if (!samples.length) {
+                context.fillText(i18n.t('diagnostics.noSamples'), 2, canvas.height - 4);
+                return;
+            }
+
+            // The newest sample is drawn at the right edge.
+            var offset = canvas.width - (samples.length - 1) * step;
+            context.strokeStyle = '#2ba6cb';
+            context.lineWidth = 2;
+            context.beginPath();
+            _.forEach(samples, function (sample, index) {
+                var x = offset + index * step;
+                var y = canvas.height - 2 - (sample / max) * (canvas.height - 14);
+                if (index === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            });
+            context.stroke();
+        },
+
+        'trace': function () {
+            var client = websocketclient.client;
+            var lines = client ? client.peekTraceLog() : [];
+            var view = $('#diagTrace');
+            if (!view.length) {
+                return;
+            }
+            // Only follow the end of the log while it is scrolled to the bottom.
+            var element = view.get(0);
+            var atBottom = element.scrollTop + element.clientHeight >= element.scrollHeight - 5;
+            view.text(lines.length ? lines.join('\n') : i18n.t('diagnostics.traceEmpty'));
+            if (atBottom) {
+                element.scrollTop = element.scrollHeight;
+            }
+        }
+    }
+};
@@ -0,0 +1,229 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Filters the messages shown in the "Status Meldungen" panel. Messages that do
+ * not match are kept in websocketclient.messages and show up again when the
+ * filter changes. Named filters are kept in the local storage of the browser.
+ */
+var messagefilter = {
+    'storageKey': 'instarFilters',
+    'active': null,
+    'timeFormat': 'YYYY-MM-DD HH:mm',
+
+    'read': function () {
+        return {
+            'topic': $.trim($('#filterTopic').val()),
+            'payload': $('#filterString').val(),
+            'regex': $('#filterRegex').is(':checked'),
+            'qos': $('#filterQoS').val(),
+            'retained': $('#filterRetained').val(),
+            'from': $.trim($('#filterFrom').val()),
+            'to': $.trim($('#filterTo').val())
+        };
+    },
+
+    'fill': function (filter) {
+        $('#filterTopic').val(filter.topic || '');
+        $('#filterString').val(filter.payload || '');
+        $('#filterRegex').prop('checked', !!filter.regex);
+        $('#filterQoS').val(filter.qos || '');
+        $('#filterRetained').val(filter.retained || '');
+        $('#filterFrom').val(filter.from || '');
+        $('#filterTo').val(filter.to || '');
+    },
+
+    'apply': function (filter) {
+        var errors = {};
+        var compiled = messagefilter.compile(filter, errors);
+
+        _.forEach(['topic', 'payload', 'from', 'to'], function (field) {
+            $('#filter' + (field === 'payload' ? 'String' : field.charAt(0).toUpperCase() + field.substring(1))).toggleClass('error', !!errors[field]);
+        });
+        if (!compiled) {
+            return false;
+        }
+
+        messagefilter.active = compiled.empty ? null : compiled;
+        websocketclient.render.messages();
+        messagefilter.render.count();
+        return true;
+    },
+
+    'reset': function () {
+        messagefilter.fill({});
+        messagefilter.apply(messagefilter.read());
+    },
+
+    'compile': function (filter, errors) {
+        var compiled = {
+            'topic': filter.topic || null,
+            'payload': null,
+            'qos': filter.qos === '' || filter.qos === undefined ? null : parseInt(filter.qos, 10),
+            'retained': filter.retained ? filter.retained === 'yes' : null,
+            'from': null,
+            'to': null
+        };
+
+        if (filter.payload) {
+            try {
+                var source = filter.regex ? filter.payload : filter.payload.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+                compiled.payload = new RegExp(source, 'gi');
+            } catch (e) {
+                errors.payload = e.message;
+            }
+        }
+
+        _.forEach(['from', 'to'], function (field) {
+            if (filter[field]) {
+                var time = moment(filter[field], messagefilter.timeFormat);
+                if (time.isValid()) {
+                    compiled[field] = time;
+                } else {
+                    errors[field] = i18n.t('filter.format', [messagefilter.timeFormat]);
+                }
+            }
+        });
+
+        if (!_.isEmpty(errors)) {
+            return null;
+        }
+        compiled.empty = !compiled.topic && !compiled.payload && compiled.qos === null &&
+            compiled.retained === null && !compiled.from && !compiled.to;
+        return compiled;
+    },
+
+    'matches': function (message) {
+        var filter = messagefilter.active;
+        if (!filter) {
+            return true;
+        }
+
+        if (filter.topic && !websocketclient.compareTopics(message.topic, filter.topic)) {
+            return false;
+        }
+        if (filter.qos !== null && message.qos !== filter.qos) {
+            return false;
+        }
+        if (filter.retained !== null && !!message.retained !== filter.retained) {
+            return false;
+        }
+        // "Bis" includes the whole minute that was entered.
+        if ((filter.from && message.timestamp.isBefore(filter.from)) ||
+            (filter.to && !message.timestamp.isBefore(moment(filter.to).add('minutes', 1)))) {
+            return false;
+        }
+        if (filter.payload) {
+            filter.payload.lastIndex = 0;
+            return filter.payload.test(message.payload);
+        }
+        return true;
+    },
+
+    'highlight': function (payload) {
+        var filter = messagefilter.active;
+        if (!filter || !filter.payload) {
+            return Encoder.htmlEncode(payload);
+        }
+
+        var html = '';
+        var last = 0;
+        var match;
+        filter.payload.lastIndex = 0;
+        while ((match = filter.payload.exec(payload)) !== null) {
+            if (match[0] === '') {
+                // An empty match would never move on.
+                filter.payload.lastIndex++;
+                continue;
+            }
+            html += Encoder.htmlEncode(payload.substring(last, match.index)) +
+                '<mark>' + Encoder.htmlEncode(match[0]) + '</mark>';
+            last = match.index + match[0].length;
+        }
+        return html + Encoder.htmlEncode(payload.substring(last));
+    },
+
+    'loadPresets': function () {
+        try {
+            return JSON.parse(localStorage.getItem(messagefilter.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    'savePreset': function () {
+        var name = prompt(i18n.t('filter.promptName'), $('#filterPresets').val() || '');
+        if (!name) {
+            return;
+        }
+
+        var presets = messagefilter.loadPresets();
+        presets[name] = messagefilter.read();
+        try {
+            localStorage.setItem(messagefilter.storageKey, JSON.stringify(presets));
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('filter.saveFailed', [e.message]));
+            return;
+        }
+        messagefilter.render.presets(name);
+    },
+
+    'selectPreset': function (name) {
+        var filter = messagefilter.loadPresets()[name];
+        if (filter) {
+            messagefilter.fill(filter);
+            messagefilter.apply(filter);
+        }
+    },
+
+    'deletePreset': function () {
+        var name = $('#filterPresets').val();
+        var presets = messagefilter.loadPresets();
+        if (!name || !confirm(i18n.t('filter.confirmDelete', [name]))) {
+            return;
+        }
+        delete presets[name];
+        localStorage.setItem(messagefilter.storageKey, JSON.stringify(presets));
+        messagefilter.render.presets();
+    },
+
+    'bind': function () {
+        var update = _.debounce(function () {
+            messagefilter.apply(messagefilter.read());
+        }, 300);
+        $('#messagesMain').on('input change', '.filterInput', update);
+        messagefilter.render.presets();
+    },
+
+    'render': {
+
+        'count': function () {
+            if (!messagefilter.active) {
+                $('#filterCount').text('');
+                return;
+            }
+            var shown = _.filter(websocketclient.messages, messagefilter.matches).length;
+            $('#filterCount').text(i18n.t('filter.count', [shown, websocketclient.messages.length]));
+        },
+
+        'presets': function (selected) {
+            var html = '<option value="">' + i18n.t('filter.presets') + '</option>';
+            _.forEach(_.keys(messagefilter.loadPresets()).sort(), function (name) {
+                html += '<option value="' + Encoder.htmlEncode(name, 0) + '"' + (name === selected ? ' selected' : '') + '>' +
+                    Encoder.htmlEncode(name) + '</option>';
+            });
+            $('#filterPresets').html(html);
+        }
+    }
+};
@@ -0,0 +1,813 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Translations of the user interface. Texts are looked up by key in the
+ * catalog of the selected language, with German as fallback. A key that is in
+ * no catalog is shown as it is, so labels in config.js can either be plain
+ * text or a key of mqtt_translations. Static texts in index.html carry their
+ * key in a data-i18n attribute (data-i18n-placeholder, data-i18n-title).
+ */
+var i18n = {
+    'storageKey': 'instarLanguage',
+    'fallback': 'de',
+    'language': 'de',
+
+    'languages': {
+        'de': 'Deutsch',
+        'en': 'English'
+    },
+
+    'catalogs': {
+        'de': {
+            // Page
+            'page.language': 'Sprache',
+            'page.title': 'MQTT Websocket Klient',
+
+            // Connection
+            'connection.failed': 'Verbindung fehlgeschlagen',
+            'connection.lost': 'Verbindung verloren',
+            'connection.clientIdSaveFailed': 'Die Klienten ID konnte nicht gespeichert werden, nach dem Neuladen werden unbestätigte Nachrichten nicht erneut gesendet: {0}',
+            'connection.sessionNeedsClientId': 'Ohne eigene Klienten ID wird mit einer frischen Sitzung verbunden.',
+            'connection.sessionNeedsClientIdHint': 'MQTT 3.1.1 löscht eine gehaltene Sitzung nie. Tragen Sie eine feste Klienten ID ein oder verwenden Sie MQTT 5.',
+            'connection.reconnectIn': 'Neuverbindung in {0}s',
+            'connection.connecting': 'verbinde...',
+            'connection.none': 'Keine Broker Verbindung',
+            'connection.title': 'INSTAR MQTT :: Verbindung über Websocket',
+            'connection.host': 'Broker Kamera IP',
+            'connection.clientId': 'Klienten ID',
+            'connection.connect': 'Verbinden',
+            'connection.disconnect': 'Trennen',
+            'connection.username': 'Benutzername',
+            'connection.password': 'Kennwort',
+            'connection.keepAlive': 'Verbindung halten',
+            'connection.cleanSession': 'Frische Sitzung',
+            'connection.lwMessage': 'Last-Will Messsage',
+            'connection.reconnect': 'Neu verbinden',
+
+            // Connection profiles
+            'profile.saveFailed': 'Die Profile konnten nicht gespeichert werden: {0}',
+            'profile.noName': 'Bitte einen Namen für das Profil angeben',
+            'profile.invalidPort': 'Ungültiger Port',
+            'profile.unknown': 'Das Profil {0} existiert nicht',
+            'profile.confirmDelete': 'Profil {0} löschen?',
+            'profile.showAll': 'Alle Profile anzeigen',
+            'profile.empty': 'Keine Profile zum Exportieren',
+            'profile.invalid': 'Ungültiges Profil: {0}',
+            'profile.label': 'Profil',
+            'profile.placeholder': 'Name des Profils',
+            'profile.save': 'Profil speichern',
+            'profile.delete': 'Profil löschen',
+            'profile.export': 'Exportieren',
+            'profile.import': 'Importieren',
+
+            // Subscriptions
+            'subscription.noTopic': 'Kein Topic angegeben',
+            'subscription.saveFailed': 'Die Abonnements konnten nicht gespeichert werden: {0}',
+            'subscription.duplicate': 'Sie haben dieses Topic bereits abonniert',
+            'subscription.failed': 'Abonnement {0}',
+            'subscription.paused': 'pausiert',
+            'subscription.refused': 'abgelehnt',
+            'subscription.granted': 'gewährt: {0}',
+            'subscription.edit': 'Bearbeiten',
+            'subscription.pause': 'Pausieren',
+            'subscription.resume': 'Fortsetzen',
+            'subscription.mute': 'Stumm',
+            'subscription.unmute': 'Anzeigen',
+            'subscription.color': 'Farbe',
+            'subscription.title': 'Abonnieren',
+            'subscription.add': 'Fügen Sie ein neues Status Topic hinzu',
+            'subscription.subscribe': 'Abonnieren',
+
+            // Cameras
+            'camera.all': 'Alle Kameras',
+            'camera.none': 'Keine Kamera ausgewählt, der Befehl wurde nicht gesendet.',
+
+            // Publish form
+            'publish.title': 'Befehl senden',
+            'publish.send': 'Senden',
+
+            // Command history
+            'command.success': 'Bestätigt nach {0} ms',
+            'command.mismatch': 'Kamera meldet "{0}" nach {1} ms',
+            'command.timeout': 'Keine Antwort nach {0} s',
+            'command.pending': 'Warte auf Antwort',
+
+            // Message history
+            'history.confirmClear': 'Alle gespeicherten Meldungen löschen?',
+            'history.loading': 'Lade ältere Meldungen...',
+            'history.loadOlder': 'Ältere Meldungen laden',
+            'history.readFailed': 'Die gespeicherten Meldungen konnten nicht gelesen werden: {0}',
+            'history.unavailable': 'Die Meldungen werden nicht gespeichert, IndexedDB ist nicht verfügbar.',
+            'history.title': 'Befehlsverlauf',
+            'history.clear': 'Verlauf löschen',
+
+            // Command catalog
+            'catalog.off': 'Aus',
+            'catalog.on': 'An',
+            'catalog.alarmActions': 'Alarmaktionen aktivieren',
+            'catalog.pir': 'PIR Sensor aktivieren',
+            'catalog.email': 'Alarm Email aktivieren',
+            'catalog.push': 'Push Benachrichtigung aktivieren',
+            'catalog.pushAlarm': 'Alarm auslösen',
+            'catalog.move': 'Kamera bewegen',
+            'catalog.zoom': 'Zoom',
+            'catalog.presetGoto': 'Gespeicherte Position anfahren',
+            'catalog.presetSet': 'Aktuelle Position speichern',
+            'catalog.area': 'Alarmbereich {0} aktivieren',
+            'catalog.privacy': 'Privatsphäre Bereich {0} aktivieren',
+            'catalog.jsonPayload': 'Payload für {0} muss die Form {"val":"..."} haben',
+            'catalog.invalidAllowed': 'Ungültiger Wert "{0}" für {1}, erlaubt: {2}',
+            'catalog.invalid': 'Ungültiger Wert "{0}" für {1}',
+            'catalog.any': 'beliebig',
+            'catalog.hint': '{0} - erlaubt: {1}',
+
+            // Schedule
+            'schedule.saveFailed': 'Der Zeitplan konnte nicht gespeichert werden: {0}',
+            'schedule.noTopic': 'Bitte ein Topic angeben',
+            'schedule.noRevert': 'Bitte die Payload zum Zurücksetzen angeben',
+            'schedule.invalidCron': 'Ungültige Cron Regel: {0}',
+            'schedule.invalidDate': 'Bitte einen Zeitpunkt in der Zukunft im Format JJJJ-MM-TT HH:mm angeben',
+            'schedule.noDuration': 'Bitte eine Dauer in Minuten angeben',
+            'schedule.cron': 'Cron {0}',
+            'schedule.once': 'Einmalig',
+            'schedule.timer': 'Sofort',
+            'schedule.revert': 'nach {0} Min. zurück auf {1}',
+            'schedule.revertAt': 'Zurücksetzen um {0}',
+            'schedule.next': 'Nächste Ausführung {0}',
+            'schedule.paused': 'Pausiert',
+            'schedule.missed': 'Verpasst, die Seite war geschlossen',
+            'schedule.offline': 'Nicht ausgeführt, keine Broker Verbindung',
+            'schedule.failed': 'Nicht ausgeführt, der Befehl wurde abgelehnt',
+            'schedule.queued': 'Wartet in der Warteschlange auf die Verbindung',
+            'schedule.done': 'Keine weitere Ausführung',
+            'schedule.pause': 'Pausieren',
+            'schedule.resume': 'Fortsetzen',
+            'schedule.cronPlaceholder': 'Minute Stunde Tag Monat Wochentag, z.B. 0 22 * * *',
+            'schedule.title': 'Zeitplan',
+            'schedule.type': 'Art',
+            'schedule.typeCron': 'Wiederkehrend',
+            'schedule.typeOnce': 'Einmalig',
+            'schedule.typeTimer': 'Sofort',
+            'schedule.when': 'Zeit',
+            'schedule.duration': 'Dauer (Min.)',
+            'schedule.revertTo': 'Danach zurück auf',
+            'schedule.add': 'Hinzufügen',
+
+            // PTZ control
+            'ptz.title': 'PTZ Steuerung',
+            'ptz.zoomIn': 'Zoom +',
+            'ptz.zoomOut': 'Zoom -',
+            'ptz.hint': 'Halten Sie eine Richtung gedrückt oder nutzen Sie die Pfeiltasten. + und - zoomen.',
+
+            // Camera positions
+            'preset.title': 'Kamera Positionen',
+            'preset.defaultName': 'Position {0}',
+            'preset.saveFailed': 'Die Positionen konnten nicht gespeichert werden: {0}',
+            'preset.confirmSet': 'Aktuelle Position von {1} als "{0}" speichern?',
+            'preset.promptName': 'Neuer Name für {0}:',
+            'preset.goto': 'Zu dieser Position fahren',
+            'preset.set': 'Setzen',
+            'preset.setTitle': 'Aktuelle Position speichern',
+            'preset.rename': 'Umbenennen',
+            'preset.renameTitle': 'Position umbenennen',
+            'preset.thumbnail': 'Bild',
+            'preset.thumbnailTitle': 'Vorschaubild wählen',
+            'preset.removeThumbnail': 'Vorschaubild entfernen',
+
+            // Scenes
+            'scene.title': 'Szenen',
+            'scene.saveFailed': 'Die Szenen konnten nicht gespeichert werden: {0}',
+            'scene.running': 'Die Szene "{0}" läuft noch',
+            'scene.sendFailed': 'Schritt {0} konnte nicht gesendet werden',
+            'scene.waitFailed': 'Status {0} wurde nicht {1}',
+            'scene.aborted': 'Abgebrochen',
+            'scene.done': '{0} ausgeführt',
+            'scene.newName': 'Neue Szene',
+            'scene.defaultName': 'Szene',
+            'scene.confirmDelete': 'Szene "{0}" löschen?',
+            'scene.steps': '{0} Schritte',
+            'scene.edit': 'Bearbeiten',
+            'scene.abort': 'Abbrechen',
+            'scene.new': 'Neue Szene',
+            'scene.export': 'Exportieren',
+            'scene.progress': '{0}: Schritt {1} von {2}',
+            'scene.name': 'Name',
+            'scene.addStep': 'Schritt hinzufügen',
+            'scene.discard': 'Verwerfen',
+            'scene.delete': 'Löschen',
+            'scene.publish': 'Senden',
+            'scene.delay': 'Pause',
+            'scene.wait': 'Status abwarten',
+            'scene.seconds': 'Sekunden',
+            'scene.statusTopic': 'Status Topic',
+            'scene.value': 'Wert',
+            'scene.timeout': 'Max. Sekunden',
+            'scene.moveUp': 'Nach oben',
+            'scene.moveDown': 'Nach unten',
+            'scene.removeStep': 'Entfernen',
+
+            // Message log
+            'messages.pause': 'Pausieren',
+            'messages.resume': 'Fortsetzen',
+            'messages.new': '{0} neu',
+            'messages.title': 'Status Meldungen',
+
+            // Messages
+            'message.copyTopic': 'Topic kopieren',
+            'message.copyPayload': 'Payload kopieren',
+
+            // Message filter
+            'filter.format': 'Format {0}',
+            'filter.promptName': 'Name des Filters:',
+            'filter.saveFailed': 'Der Filter konnte nicht gespeichert werden: {0}',
+            'filter.confirmDelete': 'Filter "{0}" löschen?',
+            'filter.count': '{0} von {1} Meldungen',
+            'filter.presets': 'Gespeicherte Filter',
+            'filter.all': 'Alle',
+            'filter.yes': 'Ja',
+            'filter.no': 'Nein',
+            'filter.from': 'Von',
+            'filter.to': 'Bis',
+            'filter.save': 'Speichern',
+            'filter.delete': 'Löschen',
+            'filter.reset': 'Zurücksetzen',
+
+            // Log export
+            'log.empty': 'Keine Meldungen zum Exportieren',
+            'log.invalidRecord': 'Ungültiger Eintrag: {0}',
+            'log.readFailed': 'Die Datei {0} konnte nicht gelesen werden: {1}',
+            'log.export': 'Exportieren',
+            'log.import': 'Importieren',
+            'log.filteredOnly': 'Nur gefilterte',
+
+            // Payload viewer
+            'payload.copied': 'Kopiert',
+            'payload.copyFailed': 'Kopieren in die Zwischenablage nicht möglich',
+            'payload.binary': 'Binär',
+            'payload.bytes': 'Binär, {0} Bytes',
+            'payload.entries': '{0} Einträge',
+            'payload.moreBytes': '{0} weitere Bytes',
+
+            // Topic explorer
+            'tree.clear': 'Leeren',
+            'tree.emptyLevel': '(leer)',
+
+            // Notifications
+            'notification.error': 'Fehler',
+            'notification.warning': 'Warnung',
+            'notification.info': 'Info',
+            'notification.success': 'OK',
+            'notification.empty': 'Keine Meldungen',
+            'notification.title': 'Fehlerprotokoll',
+            'notification.clear': 'Leeren',
+
+            // Error codes of the MQTT library, see notifications.errors
+            'mqtt.connectTimeout': 'Zeitüberschreitung beim Verbinden.',
+            'mqtt.connectTimeoutHint': 'Prüfen Sie Broker-Adresse, Websocket-Port und TLS-Einstellung und ob die Kamera im Netzwerk erreichbar ist.',
+            'mqtt.subscribeTimeout': 'Der Broker hat das Abonnement nicht rechtzeitig bestätigt.',
+            'mqtt.unsubscribeTimeout': 'Der Broker hat das Abbestellen nicht rechtzeitig bestätigt.',
+            'mqtt.pingTimeout': 'Der Broker antwortet nicht mehr auf Ping-Anfragen.',
+            'mqtt.pingTimeoutHint': 'Die Netzwerkverbindung zur Kamera ist unterbrochen oder der Broker ist überlastet.',
+            'mqtt.internalError': 'Interner Fehler im MQTT Klienten.',
+            'mqtt.socketError': 'Fehler der Websocket-Verbindung.',
+            'mqtt.socketErrorHint': 'Prüfen Sie Port und TLS-Einstellung. Bei TLS muss der Browser dem Zertifikat der Kamera vertrauen.',
+            'mqtt.socketClose': 'Die Websocket-Verbindung wurde geschlossen.',
+            'mqtt.socketCloseHint': 'Die Kamera wurde neu gestartet, der Port ist falsch oder TLS ist falsch eingestellt.',
+            'mqtt.subscribeRefused': 'Der Broker hat das Abonnement abgelehnt.',
+            'mqtt.subscribeRefusedHint': 'Prüfen Sie das Topic und die Berechtigungen des Benutzers.',
+            'mqtt.serverDisconnect': 'Der Broker hat die Verbindung getrennt.',
+            'mqtt.protocolVersion': 'Der Broker unterstützt diese MQTT Version nicht.',
+            'mqtt.protocolVersionHint': 'Wählen Sie eine andere MQTT Version.',
+            'mqtt.clientId': 'Die Klienten ID wurde abgelehnt.',
+            'mqtt.clientIdHint': 'Verwenden Sie eine kürzere Klienten ID ohne Sonderzeichen.',
+            'mqtt.serverUnavailable': 'Der MQTT Dienst der Kamera ist nicht verfügbar.',
+            'mqtt.badCredentials': 'Benutzername oder Kennwort sind falsch.',
+            'mqtt.badCredentialsHint': 'Prüfen Sie die MQTT Zugangsdaten in der Kamera.',
+            'mqtt.notAuthorized': 'Der Benutzer ist nicht berechtigt.',
+            'mqtt.notAuthorizedHint': 'Prüfen Sie die MQTT Zugangsdaten und Berechtigungen in der Kamera.',
+            'mqtt.serverBusy': 'Der Broker ist ausgelastet.',
+            'mqtt.serverBusyHint': 'Versuchen Sie es später noch einmal.',
+            'mqtt.banned': 'Dieser Klient wurde vom Broker gesperrt.',
+            'mqtt.serverShutdown': 'Der Broker wird heruntergefahren.',
+            'mqtt.keepAliveTimeout': 'Die Verbindung wurde wegen fehlender Keep-Alive Pakete getrennt.',
+            'mqtt.keepAliveTimeoutHint': 'Verringern Sie das Intervall unter "Verbindung halten".',
+            'mqtt.sessionTakenOver': 'Ein anderer Klient hat sich mit derselben Klienten ID angemeldet.',
+            'mqtt.sessionTakenOverHint': 'Verwenden Sie für jedes Browserfenster eine eigene Klienten ID.',
+            'mqtt.topicFilterInvalid': 'Der Topic Filter ist ungültig.',
+            'mqtt.quotaExceeded': 'Das Kontingent des Brokers ist erschöpft.',
+            'mqtt.administrativeAction': 'Die Verbindung wurde vom Administrator getrennt.',
+            'mqtt.sharedNotSupported': 'Der Broker unterstützt keine Shared Subscriptions.',
+            'mqtt.wildcardNotSupported': 'Der Broker unterstützt keine Wildcard Abonnements.',
+
+            // Outbox
+            'outbox.title': 'Warteschlange',
+            'outbox.empty': 'Keine wartenden Befehle',
+            'outbox.clear': 'Alle verwerfen',
+            'outbox.queued': 'Keine Broker Verbindung, {0} wird gesendet sobald die Verbindung wieder steht.',
+            'outbox.flushed': '{0} wartende Befehle gesendet',
+            'outbox.saveFailed': 'Die Warteschlange konnte nicht gespeichert werden und geht beim Neuladen verloren: {0}',
+
+            // Diagnostics
+            'diagnostics.title': 'Diagnose',
+            'diagnostics.uptime': 'Verbindungsdauer',
+            'diagnostics.offline': 'Nicht verbunden',
+            'diagnostics.reconnects': 'Wiederverbindungen',
+            'diagnostics.rtt': 'Ping Laufzeit',
+            'diagnostics.rateIn': 'Nachrichten empfangen',
+            'diagnostics.rateOut': 'Nachrichten gesendet',
+            'diagnostics.perSecond': '{0} / s',
+            'diagnostics.messages': 'Nachrichten ein / aus',
+            'diagnostics.bytes': 'Bytes ein / aus',
+            'diagnostics.noSamples': 'Noch keine Ping Messung',
+            'diagnostics.ping': 'Ping senden',
+            'diagnostics.download': 'Trace herunterladen',
+            'diagnostics.traceEmpty': 'Der Trace startet mit der nächsten Verbindung.',
+
+            // Packet inspector
+            'inspector.title': 'Paket-Inspektor',
+            'inspector.enabled': 'Pakete aufzeichnen',
+            'inspector.allTypes': 'Alle Pakettypen',
+            'inspector.clear': 'Leeren',
+            'inspector.empty': 'Keine Pakete aufgezeichnet',
+            'inspector.in': 'empfangen',
+            'inspector.out': 'gesendet',
+            'inspector.flags': 'Flags {0}',
+            'inspector.id': 'ID {0}',
+            'inspector.length': 'Länge {0}',
+            'inspector.reason': 'Reason Code {0}',
+            'inspector.flow': 'Flow #{0}',
+            'inspector.flowOpen': 'offen',
+            'inspector.flowComplete': 'abgeschlossen',
+            'inspector.openFlows': 'Offene QoS Flows: {0}',
+            'inspector.allFlows': 'Alle Pakete zeigen',
+
+            // Shared
+            'common.confirm': 'Sind Sie sicher?',
+            'common.save': 'Speichern',
+            'common.cancel': 'Abbrechen',
+            'common.datePlaceholder': 'JJJJ-MM-TT HH:mm',
+
+            // Date formats
+            'format.datetime': 'DD.MM.YYYY HH:mm:ss',
+            'format.minutes': 'DD.MM.YYYY HH:mm',
+            'format.time': 'HH:mm:ss'
+        },
+        'en': {
+            // Page
+            'page.language': 'Language',
+            'page.title': 'MQTT Websocket Client',
+
+            // Connection
+            'connection.failed': 'Connection failed',
+            'connection.lost': 'Connection lost',
+            'connection.clientIdSaveFailed': 'The client ID could not be saved, unacknowledged messages are not sent again after a reload: {0}',
+            'connection.sessionNeedsClientId': 'Without a client ID of your own the client connects with a clean session.',
+            'connection.sessionNeedsClientIdHint': 'MQTT 3.1.1 never deletes a kept session. Enter a fixed client ID or use MQTT 5.',
+            'connection.reconnectIn': 'Reconnecting in {0}s',
+            'connection.connecting': 'connecting...',
+            'connection.none': 'No broker connection',
+            'connection.title': 'INSTAR MQTT :: Connection via Websocket',
+            'connection.host': 'Broker camera IP',
+            'connection.clientId': 'Client ID',
+            'connection.connect': 'Connect',
+            'connection.disconnect': 'Disconnect',
+            'connection.username': 'User name',
+            'connection.password': 'Password',
+            'connection.keepAlive': 'Keep alive',
+            'connection.cleanSession': 'Clean session',
+            'connection.lwMessage': 'Last-Will message',
+            'connection.reconnect': 'Reconnect',
+
+            // Connection profiles
+            'profile.saveFailed': 'The profiles could not be saved: {0}',
+            'profile.noName': 'Please enter a name for the profile',
+            'profile.invalidPort': 'Invalid port',
+            'profile.unknown': 'The profile {0} does not exist',
+            'profile.confirmDelete': 'Delete the profile {0}?',
+            'profile.showAll': 'Show all profiles',
+            'profile.empty': 'No profiles to export',
+            'profile.invalid': 'Invalid profile: {0}',
+            'profile.label': 'Profile',
+            'profile.placeholder': 'Profile name',
+            'profile.save': 'Save profile',
+            'profile.delete': 'Delete profile',
+            'profile.export': 'Export',
+            'profile.import': 'Import',
+
+            // Subscriptions
+            'subscription.noTopic': 'No topic given',
+            'subscription.saveFailed': 'The subscriptions could not be saved: {0}',
+            'subscription.duplicate': 'You have already subscribed to this topic',
+            'subscription.failed': 'Subscription {0}',
+            'subscription.paused': 'paused',
+            'subscription.refused': 'refused',
+            'subscription.granted': 'granted: {0}',
+            'subscription.edit': 'Edit',
+            'subscription.pause': 'Pause',
+            'subscription.resume': 'Resume',
+            'subscription.mute': 'Mute',
+            'subscription.unmute': 'Unmute',
+            'subscription.color': 'Color',
+            'subscription.title': 'Subscribe',
+            'subscription.add': 'Add a new status topic',
+            'subscription.subscribe': 'Subscribe',
+
+            // Cameras
+            'camera.all': 'All cameras',
+            'camera.none': 'No camera is selected, the command was not sent.',
+
+            // Publish form
+            'publish.title': 'Publish command',
+            'publish.send': 'Publish',
+
+            // Command history
+            'command.success': 'Confirmed after {0} ms',
+            'command.mismatch': 'Camera reports "{0}" after {1} ms',
+            'command.timeout': 'No response after {0} s',
+            'command.pending': 'Waiting for response',
+
+            // Message history
+            'history.confirmClear': 'Delete all saved messages?',
+            'history.loading': 'Loading older messages...',
+            'history.loadOlder': 'Load older messages',
+            'history.readFailed': 'The saved messages could not be read: {0}',
+            'history.unavailable': 'Messages are not saved, IndexedDB is not available.',
+            'history.title': 'Command history',
+            'history.clear': 'Clear history',
+
+            // Command catalog
+            'catalog.off': 'Off',
+            'catalog.on': 'On',
+            'catalog.alarmActions': 'Enable alarm actions',
+            'catalog.pir': 'Enable PIR sensor',
+            'catalog.email': 'Enable alarm email',
+            'catalog.push': 'Enable push notification',
+            'catalog.pushAlarm': 'Trigger alarm',
+            'catalog.move': 'Move camera',
+            'catalog.zoom': 'Zoom',
+            'catalog.presetGoto': 'Move to saved position',
+            'catalog.presetSet': 'Save current position',
+            'catalog.area': 'Enable alarm area {0}',
+            'catalog.privacy': 'Enable privacy area {0}',
+            'catalog.jsonPayload': 'Payload for {0} must have the form {"val":"..."}',
+            'catalog.invalidAllowed': 'Invalid value "{0}" for {1}, allowed: {2}',
+            'catalog.invalid': 'Invalid value "{0}" for {1}',
+            'catalog.any': 'any',
+            'catalog.hint': '{0} - allowed: {1}',
+
+            // Schedule
+            'schedule.saveFailed': 'The schedule could not be saved: {0}',
+            'schedule.noTopic': 'Please enter a topic',
+            'schedule.noRevert': 'Please enter the payload to revert to',
+            'schedule.invalidCron': 'Invalid cron rule: {0}',
+            'schedule.invalidDate': 'Please enter a time in the future in the format YYYY-MM-DD HH:mm',
+            'schedule.noDuration': 'Please enter a duration in minutes',
+            'schedule.cron': 'Cron {0}',
+            'schedule.once': 'Once',
+            'schedule.timer': 'Now',
+            'schedule.revert': 'back to {1} after {0} min.',
+            'schedule.revertAt': 'Reverting at {0}',
+            'schedule.next': 'Next run {0}',
+            'schedule.paused': 'Paused',
+            'schedule.missed': 'Missed, the page was closed',
+            'schedule.offline': 'Not run, no broker connection',
+            'schedule.failed': 'Not run, the command was refused',
+            'schedule.queued': 'Waiting in the outbox for the connection',
+            'schedule.done': 'No further runs',
+            'schedule.pause': 'Pause',
+            'schedule.resume': 'Resume',
+            'schedule.cronPlaceholder': 'minute hour day month weekday, e.g. 0 22 * * *',
+            'schedule.title': 'Schedule',
+            'schedule.type': 'Type',
+            'schedule.typeCron': 'Recurring',
+            'schedule.typeOnce': 'Once',
+            'schedule.typeTimer': 'Now',
+            'schedule.when': 'Time',
+            'schedule.duration': 'Duration (min.)',
+            'schedule.revertTo': 'Then back to',
+            'schedule.add': 'Add',
+
+            // PTZ control
+            'ptz.title': 'PTZ Control',
+            'ptz.zoomIn': 'Zoom +',
+            'ptz.zoomOut': 'Zoom -',
+            'ptz.hint': 'Hold a direction or use the arrow keys. + and - zoom.',
+
+            // Camera positions
+            'preset.title': 'Camera Positions',
+            'preset.defaultName': 'Position {0}',
+            'preset.saveFailed': 'The positions could not be saved: {0}',
+            'preset.confirmSet': 'Save the current position of {1} as "{0}"?',
+            'preset.promptName': 'New name for {0}:',
+            'preset.goto': 'Move to this position',
+            'preset.set': 'Set',
+            'preset.setTitle': 'Save the current position',
+            'preset.rename': 'Rename',
+            'preset.renameTitle': 'Rename the position',
+            'preset.thumbnail': 'Image',
+            'preset.thumbnailTitle': 'Choose a thumbnail',
+            'preset.removeThumbnail': 'Remove the thumbnail',
+
+            // Scenes
+            'scene.title': 'Scenes',
+            'scene.saveFailed': 'The scenes could not be saved: {0}',
+            'scene.running': 'The scene "{0}" is still running',
+            'scene.sendFailed': 'Step {0} could not be sent',
+            'scene.waitFailed': 'Status {0} did not become {1}',
+            'scene.aborted': 'Aborted',
+            'scene.done': '{0} done',
+            'scene.newName': 'New scene',
+            'scene.defaultName': 'Scene',
+            'scene.confirmDelete': 'Delete the scene "{0}"?',
+            'scene.steps': '{0} steps',
+            'scene.edit': 'Edit',
+            'scene.abort': 'Abort',
+            'scene.new': 'New scene',
+            'scene.export': 'Export',
+            'scene.progress': '{0}: step {1} of {2}',
+            'scene.name': 'Name',
+            'scene.addStep': 'Add step',
+            'scene.discard': 'Discard',
+            'scene.delete': 'Delete',
+            'scene.publish': 'Publish',
+            'scene.delay': 'Pause',
+            'scene.wait': 'Wait for status',
+            'scene.seconds': 'Seconds',
+            'scene.statusTopic': 'Status topic',
+            'scene.value': 'Value',
+            'scene.timeout': 'Max. seconds',
+            'scene.moveUp': 'Move up',
+            'scene.moveDown': 'Move down',
+            'scene.removeStep': 'Remove',
+
+            // Message log
+            'messages.pause': 'Pause',
+            'messages.resume': 'Resume',
+            'messages.new': '{0} new',
+            'messages.title': 'Status Messages',
+
+            // Messages
+            'message.copyTopic': 'Copy topic',
+            'message.copyPayload': 'Copy payload',
+
+            // Message filter
+            'filter.format': 'Format {0}',
+            'filter.promptName': 'Name of the filter:',
+            'filter.saveFailed': 'The filter could not be saved: {0}',
+            'filter.confirmDelete': 'Delete the filter "{0}"?',
+            'filter.count': '{0} of {1} messages',
+            'filter.presets': 'Saved filters',
+            'filter.all': 'All',
+            'filter.yes': 'Yes',
+            'filter.no': 'No',
+            'filter.from': 'From',
+            'filter.to': 'To',
+            'filter.save': 'Save',
+            'filter.delete': 'Delete',
+            'filter.reset': 'Reset',
+
+            // Log export
+            'log.empty': 'No messages to export',
+            'log.invalidRecord': 'Invalid record: {0}',
+            'log.readFailed': 'The file {0} could not be read: {1}',
+            'log.export': 'Export',
+            'log.import': 'Import',
+            'log.filteredOnly': 'Filtered only',
+
+            // Payload viewer
+            'payload.copied': 'Copied',
+            'payload.copyFailed': 'Copying to the clipboard is not possible',
+            'payload.binary': 'Binary',
+            'payload.bytes': 'Binary, {0} bytes',
+            'payload.entries': '{0} entries',
+            'payload.moreBytes': '{0} more bytes',
+
+            // Topic explorer
+            'tree.clear': 'Clear',
+            'tree.emptyLevel': '(empty)',
+
+            // Notifications
+            'notification.error': 'Error',
+            'notification.warning': 'Warning',
+            'notification.info': 'Info',
+            'notification.success': 'OK',
+            'notification.empty': 'No messages',
+            'notification.title': 'Error log',
+            'notification.clear': 'Clear',
+
+            // Error codes of the MQTT library, see notifications.errors
+            'mqtt.connectTimeout': 'The connection attempt timed out.',
+            'mqtt.connectTimeoutHint': 'Check the broker address, the websocket port and the TLS setting and whether the camera can be reached on the network.',
+            'mqtt.subscribeTimeout': 'The broker did not confirm the subscription in time.',
+            'mqtt.unsubscribeTimeout': 'The broker did not confirm the unsubscribe in time.',
+            'mqtt.pingTimeout': 'The broker no longer answers ping requests.',
+            'mqtt.pingTimeoutHint': 'The network connection to the camera is down or the broker is overloaded.',
+            'mqtt.internalError': 'Internal error in the MQTT client.',
+            'mqtt.socketError': 'Websocket connection error.',
+            'mqtt.socketErrorHint': 'Check the port and the TLS setting. With TLS the browser has to trust the certificate of the camera.',
+            'mqtt.socketClose': 'The websocket connection was closed.',
+            'mqtt.socketCloseHint': 'The camera was restarted, the port is wrong or TLS is set up wrongly.',
+            'mqtt.subscribeRefused': 'The broker refused the subscription.',
+            'mqtt.subscribeRefusedHint': 'Check the topic and the permissions of the user.',
+            'mqtt.serverDisconnect': 'The broker closed the connection.',
+            'mqtt.protocolVersion': 'The broker does not support this MQTT version.',
+            'mqtt.protocolVersionHint': 'Choose another MQTT version.',
+            'mqtt.clientId': 'The client ID was rejected.',
+            'mqtt.clientIdHint': 'Use a shorter client ID without special characters.',
+            'mqtt.serverUnavailable': 'The MQTT service of the camera is not available.',
+            'mqtt.badCredentials': 'The user name or password is wrong.',
+            'mqtt.badCredentialsHint': 'Check the MQTT login in the camera.',
+            'mqtt.notAuthorized': 'The user is not authorized.',
+            'mqtt.notAuthorizedHint': 'Check the MQTT login and permissions in the camera.',
+            'mqtt.serverBusy': 'The broker is busy.',
+            'mqtt.serverBusyHint': 'Try again later.',
+            'mqtt.banned': 'This client was banned by the broker.',
+            'mqtt.serverShutdown': 'The broker is shutting down.',
+            'mqtt.keepAliveTimeout': 'The connection was closed because keep-alive packets were missing.',
+            'mqtt.keepAliveTimeoutHint': 'Lower the interval under "Keep alive".',
+            'mqtt.sessionTakenOver': 'Another client connected with the same client ID.',
+            'mqtt.sessionTakenOverHint': 'Use a separate client ID for every browser window.',
+            'mqtt.topicFilterInvalid': 'The topic filter is invalid.',
+            'mqtt.quotaExceeded': 'The quota of the broker is exceeded.',
+            'mqtt.administrativeAction': 'The connection was closed by an administrator.',
+            'mqtt.sharedNotSupported': 'The broker does not support shared subscriptions.',
+            'mqtt.wildcardNotSupported': 'The broker does not support wildcard subscriptions.',
+
+            // Outbox
+            'outbox.title': 'Outbox',
+            'outbox.empty': 'No queued commands',
+            'outbox.clear': 'Discard all',
+            'outbox.queued': 'Not connected, {0} is sent once the connection is back.',
+            'outbox.flushed': 'Sent {0} queued commands',
+            'outbox.saveFailed': 'The outbox could not be saved and is lost on reload: {0}',
+
+            // Diagnostics
+            'diagnostics.title': 'Diagnostics',
+            'diagnostics.uptime': 'Connected for',
+            'diagnostics.offline': 'Not connected',
+            'diagnostics.reconnects': 'Reconnects',
+            'diagnostics.rtt': 'Ping round-trip',
+            'diagnostics.rateIn': 'Messages received',
+            'diagnostics.rateOut': 'Messages sent',
+            'diagnostics.perSecond': '{0} / s',
+            'diagnostics.messages': 'Messages in / out',
+            'diagnostics.bytes': 'Bytes in / out',
+            'diagnostics.noSamples': 'No ping measured yet',
+            'diagnostics.ping': 'Send ping',
+            'diagnostics.download': 'Download trace',
+            'diagnostics.traceEmpty': 'The trace starts with the next connection.',
+
+            // Packet inspector
+            'inspector.title': 'Packet Inspector',
+            'inspector.enabled': 'Record packets',
+            'inspector.allTypes': 'All packet types',
+            'inspector.clear': 'Clear',
+            'inspector.empty': 'No packets recorded',
+            'inspector.in': 'received',
+            'inspector.out': 'sent',
+            'inspector.flags': 'Flags {0}',
+            'inspector.id': 'ID {0}',
+            'inspector.length': 'Length {0}',
+            'inspector.reason': 'Reason code {0}',
+            'inspector.flow': 'Flow #{0}',
+            'inspector.flowOpen': 'open',
+            'inspector.flowComplete': 'complete',
+            'inspector.openFlows': 'Open QoS flows: {0}',
+            'inspector.allFlows': 'Show all packets',
+
+            // Shared
+            'common.confirm': 'Are you sure?',
+            'common.save': 'Save',
+            'common.cancel': 'Cancel',
+            'common.datePlaceholder': 'YYYY-MM-DD HH:mm',
+
+            // Date formats
+            'format.datetime': 'MM/DD/YYYY hh:mm:ss A',
+            'format.minutes': 'MM/DD/YYYY hh:mm A',
+            'format.time': 'hh:mm:ss A'
+        }
+    },
+
+    'init': function () {
+        var stored = null;
+        try {
+            stored = localStorage.getItem(i18n.storageKey);
+        } catch (e) {
+        }
+
+        _.forEach(typeof mqtt_translations !== 'undefined' ? mqtt_translations : {}, function (texts, language) {
+            i18n.catalogs[language] = _.assign(i18n.catalogs[language] || {}, texts);
+            i18n.languages[language] = i18n.languages[language] || language;
+        });
+
+        var language = stored || (typeof mqtt_language !== 'undefined' ? mqtt_language : i18n.fallback);
+        i18n.language = i18n.catalogs[language] ? language : i18n.fallback;
+        i18n.render.switcher();
+        i18n.apply();
+    },
+
+    'has': function (key) {
+        return i18n.catalogs[i18n.language][key] !== undefined || i18n.catalogs[i18n.fallback][key] !== undefined;
+    },
+
+    // Placeholders {0}, {1}, ... are replaced with the entries of params.
+    't': function (key, params) {
+        var text = i18n.catalogs[i18n.language][key];
+        if (text === undefined) {
+            text = i18n.catalogs[i18n.fallback][key];
+        }
+        if (text === undefined) {
+            text = key;
+        }
+        _.forEach(params || [], function (param, i) {
+            text = text.split('{' + i + '}').join(param);
+        });
+        return text;
+    },
+
+    'formatDate': function (date, format) {
+        return date.format(i18n.t('format.' + (format || 'datetime')));
+    },
+
+    'setLanguage': function (language) {
+        if (!i18n.catalogs[language]) {
+            return false;
+        }
+        i18n.language = language;
+        try {
+            localStorage.setItem(i18n.storageKey, language);
+        } catch (e) {
+        }
+
+        i18n.render.switcher();
+        i18n.apply();
+        i18n.refresh();
+        return true;
+    },
+
+    'apply': function () {
+        $('html').attr('lang', i18n.language);
+        $('[data-i18n]').each(function () {
+            $(this).text(i18n.t($(this).attr('data-i18n')));
+        });
+        $('[data-i18n-placeholder]').each(function () {
+            $(this).attr('placeholder', i18n.t($(this).attr('data-i18n-placeholder')));
+        });
+        $('[data-i18n-title]').each(function () {
+            $(this).attr('title', i18n.t($(this).attr('data-i18n-title')));
+        });
+    },
+
+    // Renders everything again that builds its texts in JavaScript.
+    'refresh': function () {
+        websocketclient.render.buttons(mqtt_panels);
+        websocketclient.render.buttonStates();
+        websocketclient.render.cameras(mqtt_cameras);
+        $('#cameraSelect').val(websocketclient.broadcast ? '*' : websocketclient.selectedCamera);
+        _.forEach(websocketclient.subscriptions, websocketclient.render.updateSubscription);
+        websocketclient.render.messages();
+
+        ptzcontrol.render.panel();
+        presetmanager.render.presets();
+        scheduler.render.type($('#scheduleType').val());
+        scheduler.render.schedules();
+        scenemanager.render.scenes();
+        messagefilter.render.presets($('#filterPresets').val());
+        messagefilter.render.count();
+        messagestore.render.loading();
+        messagelist.render.pause();
+        topictree.render.tree();
+        commandtracker.render.history();
+        commandcatalog.render.hint();
+        notifications.render.log();
+        outbox.render.list();
+        diagnostics.render.all();
+        packetinspector.render.types();
+        packetinspector.render.list();
+    },
+
+    'render': {
+
+        'switcher': function () {
+            var html = '';
+            _.forEach(i18n.languages, function (name, language) {
+                if (i18n.catalogs[language]) {
+                    html += '<option value="' + language + '"' + (language === i18n.language ? ' selected' : '') + '>' + name + '</option>';
+                }
+            });
+            $('#languageSelect').html(html);
+        }
+    }
+};
@@ -0,0 +1,266 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Lists every MQTT control packet that crosses the websocket while recording is
+ * switched on in the "Paket-Inspektor" panel. The packets of a QoS 1 or 2
+ * delivery are joined into a flow, so a PUBLISH that was never acknowledged
+ * stands out as an open flow.
+ */
+var packetinspector = {
+    'enabled': false,
+    'lastId': 1,
+    'lastFlowId': 1,
+    'packets': [],
+    'maxPackets': 500,
+    // Flows waiting for their last packet by origin and message identifier.
+    'openFlows': {},
+    'flows': {},
+    'typeFilter': '',
+    'flowFilter': null,
+    'frame': null,
+
+    // MQTT control packet types, see MESSAGE_TYPE in mqttws31.js.
+    'types': {
+        1: 'CONNECT',
+        2: 'CONNACK',
+        3: 'PUBLISH',
+        4: 'PUBACK',
+        5: 'PUBREC',
+        6: 'PUBREL',
+        7: 'PUBCOMP',
+        8: 'SUBSCRIBE',
+        9: 'SUBACK',
+        10: 'UNSUBSCRIBE',
+        11: 'UNSUBACK',
+        12: 'PINGREQ',
+        13: 'PINGRESP',
+        14: 'DISCONNECT',
+        15: 'AUTH'
+    },
+
+    'setEnabled': function (enabled) {
+        packetinspector.enabled = enabled;
+        // Acknowledgements of deliveries that started before would have no flow to join.
+        packetinspector.openFlows = {};
+    },
+
+    'add': function (packet) {
+        if (!packetinspector.enabled) {
+            return;
+        }
+
+        var bytes = packet.bytes;
+        var wireMessage = packet.wireMessage;
+        var entry = {
+            'id': packetinspector.lastId++,
+            'timestamp': moment(),
+            'direction': packet.direction,
+            'type': packet.type,
+            'flags': bytes[0] & 0x0F,
+            'messageIdentifier': wireMessage.messageIdentifier,
+            'remainingLength': packetinspector.remainingLength(bytes),
+            'bytes': bytes,
+            'topic': null,
+            'qos': 0,
+            'reasonCode': wireMessage.reasonCode,
+            'flow': null
+        };
+        if (packet.type === 3) {
+            entry.topic = wireMessage.payloadMessage.destinationName;
+            entry.qos = wireMessage.payloadMessage.qos;
+        }
+        packetinspector.correlate(entry);
+
+        packetinspector.packets.push(entry);
+        if (packetinspector.packets.length > packetinspector.maxPackets) {
+            packetinspector.evict(packetinspector.packets.shift());
+        }
+        packetinspector.schedule();
+    },
+
+    // A flow goes together with the last of its packets.
+    'evict': function (entry) {
+        var flow = packetinspector.flows[entry.flow];
+        if (!flow || _.some(packetinspector.packets, {'flow': flow.id})) {
+            return;
+        }
+        delete packetinspector.flows[flow.id];
+        if (packetinspector.openFlows[flow.origin + flow.messageIdentifier] === flow) {
+            delete packetinspector.openFlows[flow.origin + flow.messageIdentifier];
+        }
+        if (packetinspector.flowFilter === flow.id) {
+            packetinspector.flowFilter = null;
+        }
+    },
+
+    // Decodes the variable length integer that follows the fixed header byte.
+    'remainingLength': function (bytes) {
+        var length = 0;
+        var multiplier = 1;
+        var pos = 1;
+        var digit;
+        do {
+            digit = bytes[pos++];
+            length += (digit & 0x7F) * multiplier;
+            multiplier *= 128;
+        } while ((digit & 0x80) && pos < 5);
+        return length;
+    },
+
+    // PUBLISH and PUBREL come from the sender of a message, PUBACK, PUBREC and PUBCOMP from its receiver.
+    'correlate': function (entry) {
+        var origin;
+        if (entry.type === 3 || entry.type === 6) {
+            origin = entry.direction;
+        } else if (entry.type === 4 || entry.type === 5 || entry.type === 7) {
+            origin = entry.direction === 'in' ? 'out' : 'in';
+        }
+        if (!origin || (entry.type === 3 && entry.qos === 0)) {
+            return;
+        }
+
+        var key = origin + entry.messageIdentifier;
+        var flow = packetinspector.openFlows[key];
+        // A PUBLISH with the DUP flag is the retry of an open flow.
+        if (!flow || (entry.type === 3 && !(entry.flags & 0x08))) {
+            flow = {
+                'id': packetinspector.lastFlowId++,
+                'origin': origin,
+                'messageIdentifier': entry.messageIdentifier,
+                'qos': entry.type === 3 ? entry.qos : (entry.type === 4 ? 1 : 2),
+                'topic': entry.topic,
+                'steps': [],
+                'complete': false
+            };
+            packetinspector.flows[flow.id] = flow;
+            packetinspector.openFlows[key] = flow;
+        }
+
+        flow.steps.push(packetinspector.types[entry.type]);
+        if (entry.type === 4 || entry.type === 7) {
+            flow.complete = true;
+            delete packetinspector.openFlows[key];
+        }
+        entry.flow = flow.id;
+    },
+
+    'matches': function (entry) {
+        if (packetinspector.flowFilter !== null) {
+            return entry.flow === packetinspector.flowFilter;
+        }
+        return !packetinspector.typeFilter || entry.type === parseInt(packetinspector.typeFilter, 10);
+    },
+
+    'filterType': function (type) {
+        packetinspector.typeFilter = type;
+        packetinspector.render.list();
+    },
+
+    'showFlow': function (id) {
+        packetinspector.flowFilter = id;
+        packetinspector.render.list();
+    },
+
+    'toggleHex': function (id) {
+        var hex = $('#packetHex' + id);
+        if (hex.is(':empty')) {
+            var entry = _.find(packetinspector.packets, {'id': id});
+            hex.text(entry ? payloadviewer.toHex(entry.bytes) : '');
+        }
+        hex.toggle();
+    },
+
+    'clear': function () {
+        packetinspector.packets = [];
+        packetinspector.openFlows = {};
+        packetinspector.flows = {};
+        packetinspector.flowFilter = null;
+        packetinspector.render.list();
+    },
+
+    'schedule': function () {
+        if (packetinspector.frame !== null) {
+            return;
+        }
+        packetinspector.frame = requestAnimationFrame(function () {
+            packetinspector.frame = null;
+            packetinspector.render.list();
+        });
+    },
+
+    'formatFlags': function (entry) {
+        var text = '0x' + entry.flags.toString(16);
+        if (entry.type === 3) {
+            text += ' (' + (entry.flags & 0x08 ? 'DUP ' : '') + 'QoS ' + entry.qos + (entry.flags & 0x01 ? ' RETAIN' : '') + ')';
+        }
+        return text;
+    },
+
+    'formatFlow': function (flow) {
+        return i18n.t('inspector.flow', [flow.id]) + ' - QoS ' + flow.qos + ': ' + flow.steps.join(' > ') + ' - ' +
+            i18n.t(flow.complete ? 'inspector.flowComplete' : 'inspector.flowOpen');
+    },
+
+    'render': {
+
+        'types': function () {
+            var html = '<option value="">' + i18n.t('inspector.allTypes') + '</option>';
+            _.forEach(packetinspector.types, function (name, type) {
+                html += '<option value="' + type + '">' + name + '</option>';
+            });
+            $('#inspectorType').html(html).val(packetinspector.typeFilter);
+        },
+
+        'list': function () {
+            var flow = packetinspector.flows[packetinspector.flowFilter];
+            var open = _.size(packetinspector.openFlows);
+            var html = '';
+            _.forEach(_.filter(packetinspector.packets, packetinspector.matches).reverse(), function (entry) {
+                html += packetinspector.render.packet(entry);
+            });
+
+            $('#inspectorFlow').html(flow ?
+                Encoder.htmlEncode(packetinspector.formatFlow(flow)) + (flow.topic ? ' - ' + Encoder.htmlEncode(flow.topic) : '') +
+                ' <a href="#" onclick="packetinspector.showFlow(null); return false;">' + i18n.t('inspector.allFlows') + '</a>' :
+                (open ? i18n.t('inspector.openFlows', [open]) : ''));
+            $('#inspectorEdit').html(html || '<li class="packetEmpty">' + i18n.t('inspector.empty') + '</li>');
+        },
+
+        'packet': function (entry) {
+            var flow = packetinspector.flows[entry.flow];
+            var details = [i18n.t('inspector.flags', [packetinspector.formatFlags(entry)])];
+            if (typeof entry.messageIdentifier !== 'undefined') {
+                details.push(i18n.t('inspector.id', [entry.messageIdentifier]));
+            }
+            details.push(i18n.t('inspector.length', [entry.remainingLength]));
+            if (typeof entry.reasonCode !== 'undefined') {
+                details.push(i18n.t('inspector.reason', ['0x' + entry.reasonCode.toString(16)]));
+            }
+
+            return '<li class="packetLine ' + entry.direction + (flow && !flow.complete ? ' openFlow' : '') + '">' +
+                '   <div class="packetHeader">' +
+                '       <a href="#" onclick="packetinspector.toggleHex(' + entry.id + '); return false;">' +
+                '<strong>' + (entry.direction === 'in' ? '&larr; ' : '&rarr; ') + packetinspector.types[entry.type] + '</strong></a> ' +
+                '       <span class="packetDate">' + i18n.formatDate(entry.timestamp, 'time') + ' - ' + i18n.t('inspector.' + entry.direction) + '</span>' +
+                (flow ? ' <a href="#" class="packetFlow" onclick="packetinspector.showFlow(' + flow.id + '); return false;">' +
+                    Encoder.htmlEncode(i18n.t('inspector.flow', [flow.id])) + '</a>' : '') +
+                '   </div>' +
+                '   <div class="packetDetails">' + Encoder.htmlEncode(details.join(', ')) +
+                (entry.topic !== null ? ' - ' + Encoder.htmlEncode(entry.topic) : '') + '</div>' +
+                '   <pre class="packetHex" id="packetHex' + entry.id + '" style="display: none;"></pre>' +
+                '</li>';
+        }
+    }
+};
@@ -0,0 +1,206 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Saves the message log to a file and loads such a file back into the
+ * "Status Meldungen" panel, with or without a broker connection.
+ */
+var logexport = {
+    'columns': ['timestamp', 'topic', 'payload', 'qos', 'retained', 'binary'],
+    'importColor': 'bababa',
+
+    'formats': {
+        'json': {'extension': 'json', 'type': 'application/json'},
+        'ndjson': {'extension': 'ndjson', 'type': 'application/x-ndjson'},
+        'csv': {'extension': 'csv', 'type': 'text/csv'}
+    },
+
+    // The log only holds the newest mqtt_history.memory messages, so the export reads the whole
+    // history from IndexedDB. Messages that are not stored there, like imported ones, come from the log.
+    'export': function (format, filteredOnly) {
+        if (!messagestore.isEnabled()) {
+            return logexport.write(format, filteredOnly, websocketclient.messages);
+        }
+
+        messagestore.readAll(function (stored) {
+            var keys = {};
+            _.forEach(stored, function (message) {
+                keys[message.key] = true;
+            });
+            var unstored = _.filter(websocketclient.messages, function (message) {
+                return message.key === undefined || !keys[message.key];
+            });
+            logexport.write(format, filteredOnly, _.sortBy(stored.concat(unstored), function (message) {
+                return message.timestamp.valueOf();
+            }));
+        });
+        return true;
+    },
+
+    'write': function (format, filteredOnly, messages) {
+        messages = filteredOnly ? _.filter(messages, messagefilter.matches) : messages;
+        if (!messages.length) {
+            websocketclient.render.showError(i18n.t('log.empty'));
+            return false;
+        }
+
+        var records = _.map(messages, logexport.toRecord);
+        var content;
+        if (format === 'csv') {
+            content = logexport.toCsv(records);
+        } else if (format === 'ndjson') {
+            content = _.map(records, function (record) {
+                return JSON.stringify(record);
+            }).join('\n') + '\n';
+        } else {
+            content = JSON.stringify(records, null, 2);
+        }
+
+        var filename = 'mqtt-log-' + moment().format('YYYY-MM-DD-HHmmss') + '.' + logexport.formats[format].extension;
+        websocketclient.download(content, filename, logexport.formats[format].type);
+        return true;
+    },
+
+    'toRecord': function (message) {
+        return {
+            'timestamp': message.timestamp.toISOString(),
+            'topic': message.topic,
+            'payload': message.payload,
+            'qos': message.qos,
+            'retained': !!message.retained,
+            // Binary payloads are kept as base64, without the flag they come back as text.
+            'binary': !!message.binary
+        };
+    },
+
+    'toCsv': function (records) {
+        var lines = [logexport.columns.join(',')];
+        _.forEach(records, function (record) {
+            lines.push(_.map(logexport.columns, function (column) {
+                var value = String(record[column]);
+                return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+            }).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    'parseCsv': function (text) {
+        var rows = [];
+        var row = [];
+        var value = '';
+        var quoted = false;
+
+        for (var i = 0; i < text.length; i++) {
+            var c = text.charAt(i);
+            if (quoted) {
+                if (c === '"' && text.charAt(i + 1) === '"') {
+                    value += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    value += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                row.push(value);
+                value = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text.charAt(i + 1) === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += c;
+            }
+        }
+        if (value !== '' || row.length) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        var header = rows.shift() || [];
+        return _.map(rows, function (row) {
+            var record = {};
+            _.forEach(header, function (column, i) {
+                record[column] = row[i];
+            });
+            return record;
+        });
+    },
+
+    'parse': function (text) {
+        var trimmed = $.trim(text);
+        if (trimmed.charAt(0) === '[') {
+            return JSON.parse(trimmed);
+        }
+        if (trimmed.charAt(0) === '{') {
+            return _.map(_.compact(trimmed.split(/\r?\n/)), function (line) {
+                return JSON.parse(line);
+            });
+        }
+        return logexport.parseCsv(text);
+    },
+
+    'toMessage': function (record) {
+        var timestamp = moment(record.timestamp);
+        if (typeof record.topic !== 'string' || !timestamp.isValid()) {
+            throw new Error(i18n.t('log.invalidRecord', [JSON.stringify(record)]));
+        }
+        return {
+            'topic': record.topic,
+            'payload': record.payload === undefined || record.payload === null ? '' : String(record.payload),
+            'qos': parseInt(record.qos, 10) || 0,
+            'retained': record.retained === true || record.retained === 'true',
+            'binary': record.binary === true || record.binary === 'true',
+            'timestamp': timestamp,
+            'subscriptionId': null,
+            'color': logexport.importColor,
+            'imported': true
+        };
+    },
+
+    'import': function (file) {
+        if (!file) {
+            return;
+        }
+
+        var reader = new FileReader();
+        reader.onload = function () {
+            var messages;
+            try {
+                messages = _.map(logexport.parse(reader.result), logexport.toMessage);
+            } catch (e) {
+                websocketclient.render.showError(i18n.t('log.readFailed', [file.name, e.message]));
+                return;
+            }
+
+            websocketclient.messages = _.sortBy(websocketclient.messages.concat(messages), function (message) {
+                return message.timestamp.valueOf();
+            });
+            websocketclient.render.messages();
+            websocketclient.render.show('messages');
+            messagefilter.render.count();
+        };
+        reader.readAsText(file);
+    },
+
+    'chooseFile': function () {
+        $('#importFile').val('').click();
+    }
+};
@@ -0,0 +1,145 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Renders the "Status Meldungen" log. Only the rows inside the visible part of
+ * #messEdit are in the DOM, the rest is replaced by two spacers. Incoming
+ * messages are collected and drawn once per animation frame, while the log is
+ * paused they wait in a buffer.
+ */
+var messagelist = {
+    'paused': false,
+    'buffer': [],
+    'frame': null,
+    'newest': null,
+    'rowHeight': 75,
+    'overscan': 5,
+    'viewportHeight': 800,
+
+    'add': function (message) {
+        if (messagelist.paused) {
+            messagelist.buffer.push(message);
+            // The message store still has everything that falls out of the buffer.
+            if (messagelist.buffer.length > messagestore.window) {
+                messagelist.buffer.shift();
+            }
+            messagelist.render.pause();
+            return;
+        }
+
+        websocketclient.messages.push(message);
+        messagestore.trim();
+        messagelist.schedule();
+    },
+
+    'schedule': function () {
+        if (messagelist.frame !== null) {
+            return;
+        }
+        messagelist.frame = requestAnimationFrame(function () {
+            messagelist.frame = null;
+            messagelist.render.rows();
+            messagefilter.render.count();
+        });
+    },
+
+    'togglePause': function () {
+        messagelist.paused = !messagelist.paused;
+        if (!messagelist.paused) {
+            websocketclient.messages = websocketclient.messages.concat(messagelist.buffer);
+            messagelist.buffer = [];
+            messagestore.trim();
+            messagelist.schedule();
+        }
+        messagelist.render.pause();
+    },
+
+    'onScroll': function () {
+        messagelist.schedule();
+        messagestore.onScroll();
+    },
+
+    'getId': function (message) {
+        if (message.id === undefined || message.id === null) {
+            message.id = websocketclient.lastMessageId++;
+        }
+        return message.id;
+    },
+
+    'getHeight': function (message) {
+        return message.height || messagelist.rowHeight;
+    },
+
+    'render': {
+
+        'rows': function () {
+            var list = $('#messEdit');
+            var rows = _.filter(websocketclient.messages, messagefilter.matches).reverse();
+            var scrollTop = list.scrollTop();
+            var i;
+
+            // Rows that arrived on top push the content down, keep the rows the operator looks at in place.
+            if (scrollTop > 0 && messagelist.newest !== null) {
+                var added = _.findIndex(rows, {'id': messagelist.newest});
+                for (i = 0; i < added; i++) {
+                    scrollTop += messagelist.getHeight(rows[i]);
+                }
+                list.scrollTop(scrollTop);
+            }
+            messagelist.newest = rows.length ? messagelist.getId(rows[0]) : null;
+
+            var viewport = Math.max(list.innerHeight(), messagelist.viewportHeight);
+            var start = 0;
+            var top = 0;
+            while (start < rows.length && top + messagelist.getHeight(rows[start]) <= scrollTop) {
+                top += messagelist.getHeight(rows[start++]);
+            }
+            for (i = 0; i < messagelist.overscan && start > 0; i++) {
+                top -= messagelist.getHeight(rows[--start]);
+            }
+
+            var end = start;
+            var bottom = top;
+            while (end < rows.length && (bottom < scrollTop + viewport || end - start < messagelist.overscan)) {
+                bottom += messagelist.getHeight(rows[end++]);
+            }
+            var rest = 0;
+            for (i = end; i < rows.length; i++) {
+                rest += messagelist.getHeight(rows[i]);
+            }
+
+            var html = '<li class="messSpacer" style="height: ' + top + 'px"></li>';
+            for (i = start; i < end; i++) {
+                html += websocketclient.render.message(rows[i]);
+            }
+            html += '<li class="messSpacer" style="height: ' + rest + 'px"></li>';
+            list.html(html);
+
+            // Hidden rows have no size, measure them the next time the log is open.
+            if (list.is(':visible')) {
+                list.children('.messLine').each(function (index) {
+                    rows[start + index].height = $(this).outerHeight(true) || undefined;
+                });
+            }
+        },
+
+        'pause': function () {
+            var text = i18n.t(messagelist.paused ? 'messages.resume' : 'messages.pause');
+            if (messagelist.buffer.length) {
+                text += ' (' + i18n.t('messages.new', [messagelist.buffer.length]) + ')';
+            }
+            $('#pauseButton').text(text).toggleClass('alert', messagelist.paused);
+        }
+    }
+};
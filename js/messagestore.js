@@ -0,0 +1,252 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Keeps received messages in IndexedDB so the log survives reloads and
+ * connection drops. Only the newest messages are held in
+ * websocketclient.messages, older ones are loaded page by page when the log
+ * is scrolled down. Retention limits from mqtt_history are applied per
+ * subscription.
+ */
+var messagestore = {
+    'dbName': 'instar-mqtt-client',
+    'storeName': 'messages',
+    'db': null,
+    'added': 0,
+    'pruneEvery': 100,
+    'loading': false,
+    'complete': false,
+    'window': 0,
+
+    'init': function () {
+        messagestore.window = mqtt_history.memory;
+        if (!mqtt_history.enabled || !window.indexedDB) {
+            return;
+        }
+
+        var request = indexedDB.open(messagestore.dbName, 1);
+        request.onupgradeneeded = function () {
+            var store = request.result.createObjectStore(messagestore.storeName, {'keyPath': 'key', 'autoIncrement': true});
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('subscription', ['subscription', 'timestamp']);
+        };
+        request.onsuccess = function () {
+            messagestore.db = request.result;
+            messagestore.prune();
+            messagestore.loadOlder();
+        };
+        request.onerror = function () {
+            notifications.warning(i18n.t('history.unavailable'), String(request.error));
+        };
+    },
+
+    'isEnabled': function () {
+        return messagestore.db !== null;
+    },
+
+    'toRecord': function (message, subscription) {
+        return {
+            'topic': message.topic,
+            'payload': message.payload,
+            'binary': !!message.binary,
+            'qos': message.qos,
+            'retained': message.retained,
+            'timestamp': message.timestamp.valueOf(),
+            'subscription': subscription.topic,
+            'color': message.color,
+            'size': message.topic.length + message.payload.length
+        };
+    },
+
+    'toMessage': function (record) {
+        return {
+            'key': record.key,
+            'topic': record.topic,
+            'payload': record.payload,
+            'binary': record.binary,
+            'qos': record.qos,
+            'retained': record.retained,
+            'timestamp': moment(record.timestamp),
+            'subscriptionId': null,
+            'color': record.color
+        };
+    },
+
+    'add': function (message, subscription) {
+        if (!messagestore.isEnabled()) {
+            return;
+        }
+
+        var request = messagestore.db.transaction(messagestore.storeName, 'readwrite')
+            .objectStore(messagestore.storeName)
+            .add(messagestore.toRecord(message, subscription));
+        request.onsuccess = function () {
+            message.key = request.result;
+        };
+
+        if (++messagestore.added % messagestore.pruneEvery === 0) {
+            messagestore.prune();
+        }
+    },
+
+    // Every stored message, oldest first.
+    'readAll': function (callback) {
+        var messages = [];
+        var request = messagestore.db.transaction(messagestore.storeName, 'readonly')
+            .objectStore(messagestore.storeName)
+            .openCursor();
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (cursor) {
+                messages.push(messagestore.toMessage(cursor.value));
+                cursor.continue();
+                return;
+            }
+            callback(messages);
+        };
+        request.onerror = function () {
+            websocketclient.render.showError(i18n.t('history.readFailed', [request.error]));
+        };
+    },
+
+    'trim': function () {
+        // Drop the oldest messages from memory, they can be loaded again by scrolling down.
+        var overflow = websocketclient.messages.length - messagestore.window;
+        if (overflow <= 0) {
+            return;
+        }
+        websocketclient.messages.splice(0, overflow);
+        messagestore.complete = false;
+    },
+
+    'loadOlder': function () {
+        if (!messagestore.isEnabled() || messagestore.loading || messagestore.complete) {
+            return;
+        }
+
+        var oldest = _.find(websocketclient.messages, function (message) {
+            return message.key !== undefined;
+        });
+        var range = oldest ? IDBKeyRange.upperBound(oldest.key, true) : null;
+        var older = [];
+
+        messagestore.loading = true;
+        messagestore.render.loading();
+        var request = messagestore.db.transaction(messagestore.storeName, 'readonly')
+            .objectStore(messagestore.storeName)
+            .openCursor(range, 'prev');
+        request.onsuccess = function () {
+            var cursor = request.result;
+            if (cursor && older.length < mqtt_history.pageSize) {
+                older.unshift(messagestore.toMessage(cursor.value));
+                cursor.continue();
+                return;
+            }
+
+            messagestore.loading = false;
+            messagestore.complete = !cursor;
+            if (older.length) {
+                websocketclient.messages = older.concat(websocketclient.messages);
+                messagestore.window = Math.max(messagestore.window, websocketclient.messages.length);
+                websocketclient.render.messages();
+                websocketclient.render.show('messages');
+                messagefilter.render.count();
+            }
+            messagestore.render.loading();
+        };
+    },
+
+    'prune': function () {
+        if (!messagestore.isEnabled()) {
+            return;
+        }
+
+        var store = messagestore.db.transaction(messagestore.storeName, 'readwrite').objectStore(messagestore.storeName);
+
+        if (mqtt_history.maxAge > 0) {
+            var expired = new Date().getTime() - mqtt_history.maxAge * 24 * 3600 * 1000;
+            store.index('timestamp').openCursor(IDBKeyRange.upperBound(expired)).onsuccess = function (e) {
+                var cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        }
+
+        // Walk every subscription from its newest message back and drop what exceeds count or size.
+        store.index('subscription').openKeyCursor().onsuccess = function (e) {
+            var cursor = e.target.result;
+            if (!cursor) {
+                return;
+            }
+            messagestore.pruneSubscription(store, cursor.key[0]);
+            cursor.continue([cursor.key[0], Infinity]);
+        };
+    },
+
+    'pruneSubscription': function (store, subscription) {
+        var count = 0;
+        var size = 0;
+        var range = IDBKeyRange.bound([subscription, -Infinity], [subscription, Infinity]);
+        store.index('subscription').openCursor(range, 'prev').onsuccess = function (e) {
+            var cursor = e.target.result;
+            if (!cursor) {
+                return;
+            }
+            count++;
+            size += cursor.value.size;
+            if ((mqtt_history.maxCount > 0 && count > mqtt_history.maxCount) ||
+                (mqtt_history.maxSize > 0 && size > mqtt_history.maxSize * 1024)) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    },
+
+    'clear': function () {
+        if (!confirm(i18n.t('history.confirmClear'))) {
+            return;
+        }
+        if (messagestore.isEnabled()) {
+            messagestore.db.transaction(messagestore.storeName, 'readwrite').objectStore(messagestore.storeName).clear();
+        }
+        websocketclient.messages = [];
+        messagestore.window = mqtt_history.memory;
+        messagestore.complete = true;
+        websocketclient.render.messages();
+        messagefilter.render.count();
+        messagestore.render.loading();
+    },
+
+    'onScroll': function () {
+        var list = $('#messEdit');
+        if (list.scrollTop() + list.innerHeight() >= list[0].scrollHeight - 50) {
+            messagestore.loadOlder();
+        }
+    },
+
+    'render': {
+
+        'loading': function () {
+            var text = '';
+            if (messagestore.loading) {
+                text = i18n.t('history.loading');
+            } else if (messagestore.isEnabled() && !messagestore.complete) {
+                text = '<a href="#" onclick="messagestore.loadOlder(); return false;">' + i18n.t('history.loadOlder') + '</a>';
+            }
+            $('#messOlder').html(text);
+        }
+    }
+};
@@ -24,8 +24,8 @@
  * @namespace Messaging
  * Send and receive messages using web browsers.
  * <p>
- * This programming interface lets a JavaScript client application use the MQTT V3.1 protocol to
- * connect to an MQTT-supporting messaging server.
+ * This programming interface lets a JavaScript client application use the MQTT V3.1, V3.1.1 or V5
+ * protocol to connect to an MQTT-supporting messaging server.
  *
  * The function supported includes:
  * <ol>
@@ -104,7 +104,8 @@ Messaging = (function (global) {
         UNSUBACK: 11,
         PINGREQ: 12,
         PINGRESP: 13,
-        DISCONNECT: 14
+        DISCONNECT: 14,
+        AUTH: 15
     };
 
     // Collection of utility methods used to simplify module code 
@@ -175,6 +176,9 @@ Messaging = (function (global) {
         INVALID_STORED_DATA: {code: 15, text: "AMQJS0015E Invalid data in local storage key={0} value={1}."},
         INVALID_MQTT_MESSAGE_TYPE: {code: 16, text: "AMQJS0016E Invalid MQTT message type {0}."},
         MALFORMED_UNICODE: {code: 17, text: "AMQJS0017E Malformed Unicode string:{0} {1}."},
+        SUBACK_RETURNCODE: {code: 18, text: "AMQJS0018E Bad Suback return code:{0} {1}."},
+        SERVER_DISCONNECT: {code: 19, text: "AMQJS0019E Disconnected by server, reason code:{0} {1}."},
+        MALFORMED_PROPERTY: {code: 20, text: "AMQJS0020E Malformed MQTT property:{0}."},
     };
 
     /** CONNACK RC Meaning. */
@@ -187,6 +191,95 @@ Messaging = (function (global) {
         5: "Connection Refused: not authorized"
     };
 
+    /** MQTT 5 reason code meaning, shared by CONNACK, PUBACK, SUBACK, DISCONNECT and friends. */
+    var REASON_CODES = {
+        0x00: "Success",
+        0x01: "Granted QoS 1",
+        0x02: "Granted QoS 2",
+        0x04: "Disconnect with Will Message",
+        0x10: "No matching subscribers",
+        0x11: "No subscription existed",
+        0x18: "Continue authentication",
+        0x19: "Re-authenticate",
+        0x80: "Unspecified error",
+        0x81: "Malformed Packet",
+        0x82: "Protocol Error",
+        0x83: "Implementation specific error",
+        0x84: "Unsupported Protocol Version",
+        0x85: "Client Identifier not valid",
+        0x86: "Bad User Name or Password",
+        0x87: "Not authorized",
+        0x88: "Server unavailable",
+        0x89: "Server busy",
+        0x8A: "Banned",
+        0x8B: "Server shutting down",
+        0x8C: "Bad authentication method",
+        0x8D: "Keep Alive timeout",
+        0x8E: "Session taken over",
+        0x8F: "Topic Filter invalid",
+        0x90: "Topic Name invalid",
+        0x91: "Packet Identifier in use",
+        0x92: "Packet Identifier not found",
+        0x93: "Receive Maximum exceeded",
+        0x94: "Topic Alias invalid",
+        0x95: "Packet too large",
+        0x96: "Message rate too high",
+        0x97: "Quota exceeded",
+        0x98: "Administrative action",
+        0x99: "Payload format invalid",
+        0x9A: "Retain not supported",
+        0x9B: "QoS not supported",
+        0x9C: "Use another server",
+        0x9D: "Server moved",
+        0x9E: "Shared Subscriptions not supported",
+        0x9F: "Connection rate exceeded",
+        0xA0: "Maximum connect time",
+        0xA1: "Subscription Identifiers not supported",
+        0xA2: "Wildcard Subscriptions not supported"
+    };
+
+    /**
+     * MQTT 5 properties, indexed by their identifier byte. The name is the key
+     * used in the properties object of the API, the type decides the wire format.
+     * @private
+     */
+    var PROPERTY = {
+        0x01: {name: "payloadFormatIndicator", type: "byte"},
+        0x02: {name: "messageExpiryInterval", type: "int32"},
+        0x03: {name: "contentType", type: "string"},
+        0x08: {name: "responseTopic", type: "string"},
+        0x09: {name: "correlationData", type: "binary"},
+        0x0B: {name: "subscriptionIdentifier", type: "varint"},
+        0x11: {name: "sessionExpiryInterval", type: "int32"},
+        0x12: {name: "assignedClientIdentifier", type: "string"},
+        0x13: {name: "serverKeepAlive", type: "int16"},
+        0x15: {name: "authenticationMethod", type: "string"},
+        0x16: {name: "authenticationData", type: "binary"},
+        0x17: {name: "requestProblemInformation", type: "byte"},
+        0x18: {name: "willDelayInterval", type: "int32"},
+        0x19: {name: "requestResponseInformation", type: "byte"},
+        0x1A: {name: "responseInformation", type: "string"},
+        0x1C: {name: "serverReference", type: "string"},
+        0x1F: {name: "reasonString", type: "string"},
+        0x21: {name: "receiveMaximum", type: "int16"},
+        0x22: {name: "topicAliasMaximum", type: "int16"},
+        0x23: {name: "topicAlias", type: "int16"},
+        0x24: {name: "maximumQoS", type: "byte"},
+        0x25: {name: "retainAvailable", type: "byte"},
+        0x26: {name: "userProperties", type: "pair"},
+        0x27: {name: "maximumPacketSize", type: "int32"},
+        0x28: {name: "wildcardSubscriptionAvailable", type: "byte"},
+        0x29: {name: "subscriptionIdentifierAvailable", type: "byte"},
+        0x2A: {name: "sharedSubscriptionAvailable", type: "byte"}
+    };
+
+    /** Reverse lookup of PROPERTY, property name to identifier byte. */
+    var PROPERTY_ID = {};
+    for (var propertyId in PROPERTY) {
+        if (PROPERTY.hasOwnProperty(propertyId))
+            PROPERTY_ID[PROPERTY[propertyId].name] = parseInt(propertyId, 10);
+    }
+
     /**
      * Format an error message text.
      * @private
@@ -213,6 +306,28 @@ Messaging = (function (global) {
     //MQTT protocol and version        6    M    Q    I    s    d    p    3
     var MqttProtoIdentifier = [0x00, 0x06, 0x4d, 0x51, 0x49, 0x73, 0x64, 0x70, 0x03];
 
+    //MQTT 3.1.1 protocol and version    4    M    Q    T    T    4
+    var MqttProtoIdentifierv4 = [0x00, 0x04, 0x4d, 0x51, 0x54, 0x54, 0x04];
+
+    //MQTT 5 protocol and version        4    M    Q    T    T    5
+    var MqttProtoIdentifierv5 = [0x00, 0x04, 0x4d, 0x51, 0x54, 0x54, 0x05];
+
+    /**
+     * Return the CONNECT protocol name and level for a protocol version.
+     * @private
+     * @param {number} protocolVersion 3 (MQTT 3.1), 4 (MQTT 3.1.1) or 5 (MQTT 5).
+     */
+    var protocolIdentifier = function (protocolVersion) {
+        switch (protocolVersion) {
+            case 4:
+                return MqttProtoIdentifierv4;
+            case 5:
+                return MqttProtoIdentifierv5;
+            default:
+                return MqttProtoIdentifier;
+        }
+    };
+
     /**
      * @ignore
      * Construct an MQTT wire protocol message.
@@ -226,6 +341,9 @@ Messaging = (function (global) {
      * connectStrings:    array of 0 or more Strings to be put into the CONNECT payload
      * topics:            array of strings (SUBSCRIBE, UNSUBSCRIBE)
      * requestQoS:        array of QoS values [0..2]
+     * subscriptionOptions: array of MQTT 5 subscription option bytes (SUBSCRIBE)
+     * properties:        MQTT 5 properties object (CONNECT, SUBSCRIBE, UNSUBSCRIBE, DISCONNECT)
+     * reasonCode:        MQTT 5 reason code (DISCONNECT)
      *
      * "Flag" properties
      * cleanSession:    true if present / false if absent (CONNECT)
@@ -246,9 +364,11 @@ Messaging = (function (global) {
         }
     };
 
-    WireMessage.prototype.encode = function () {
+    WireMessage.prototype.encode = function (protocolVersion) {
         // Compute the first byte of the fixed header
         var first = ((this.type & 0x0f) << 4);
+        var isV5 = protocolVersion >= 5;
+        var propertyBytes;
 
         /*
          * Now calculate the length of the variable header + payload by adding up the lengths
@@ -263,10 +383,15 @@ Messaging = (function (global) {
             remLength += 2;
 
         switch (this.type) {
-            // If this a Connect then we need to include 12 bytes for its header
+            // If this a Connect then we need to include the protocol name, level, flags and keepalive
             case MESSAGE_TYPE.CONNECT:
-                remLength += MqttProtoIdentifier.length + 3;
+                var mqttProtoIdentifier = protocolIdentifier(protocolVersion);
+                remLength += mqttProtoIdentifier.length + 3;
                 remLength += UTF8Length(this.clientId) + 2;
+                if (isV5) {
+                    propertyBytes = encodeProperties(this.properties);
+                    remLength += propertyBytes.length;
+                }
                 if (this.willMessage != undefined) {
                     remLength += UTF8Length(this.willMessage.destinationName) + 2;
                     // Will message is always a string, sent as UTF-8 characters with a preceding length.
@@ -274,6 +399,10 @@ Messaging = (function (global) {
                     if (!(willMessagePayloadBytes instanceof Uint8Array))
                         willMessagePayloadBytes = new Uint8Array(payloadBytes);
                     remLength += willMessagePayloadBytes.byteLength + 2;
+                    if (isV5) {
+                        var willPropertyBytes = encodeProperties(this.willMessage.properties);
+                        remLength += willPropertyBytes.length;
+                    }
                 }
                 if (this.userName != undefined)
                     remLength += UTF8Length(this.userName) + 2;
@@ -290,6 +419,10 @@ Messaging = (function (global) {
                 }
                 remLength += this.requestedQos.length; // 1 byte for each topic's Qos
                 // QoS on Subscribe only
+                if (isV5) {
+                    propertyBytes = encodeProperties(this.properties);
+                    remLength += propertyBytes.length;
+                }
                 break;
 
             case MESSAGE_TYPE.UNSUBSCRIBE:
@@ -298,6 +431,10 @@ Messaging = (function (global) {
                     topicStrLength[i] = UTF8Length(this.topics[i]);
                     remLength += topicStrLength[i] + 2;
                 }
+                if (isV5) {
+                    propertyBytes = encodeProperties(this.properties);
+                    remLength += propertyBytes.length;
+                }
                 break;
 
             case MESSAGE_TYPE.PUBLISH:
@@ -312,9 +449,22 @@ Messaging = (function (global) {
                     payloadBytes = new Uint8Array(payloadBytes);
                 else if (!(payloadBytes instanceof Uint8Array))
                     payloadBytes = new Uint8Array(payloadBytes.buffer);
+                if (isV5) {
+                    propertyBytes = encodeProperties(this.payloadMessage.properties);
+                    remLength += propertyBytes.length;
+                }
+                break;
+
+            case MESSAGE_TYPE.PUBREL:
+                first |= 0x02; // Reserved flags of PUBREL are 0010.
                 break;
 
             case MESSAGE_TYPE.DISCONNECT:
+                // MQTT 5 allows a reason code, leaving it out means "Normal disconnection".
+                if (isV5 && this.reasonCode != undefined) {
+                    propertyBytes = encodeProperties(this.properties);
+                    remLength += 1 + propertyBytes.length;
+                }
                 break;
 
             default:
@@ -338,8 +488,8 @@ Messaging = (function (global) {
         // If this is a CONNECT then the variable header contains the protocol name/version, flags and keepalive time
 
         else if (this.type == MESSAGE_TYPE.CONNECT) {
-            byteStream.set(MqttProtoIdentifier, pos);
-            pos += MqttProtoIdentifier.length;
+            byteStream.set(mqttProtoIdentifier, pos);
+            pos += mqttProtoIdentifier.length;
             var connectFlags = 0;
             if (this.cleanSession)
                 connectFlags = 0x02;
@@ -356,6 +506,10 @@ Messaging = (function (global) {
                 connectFlags |= 0x40;
             byteStream[pos++] = connectFlags;
             pos = writeUint16(this.keepAliveInterval, byteStream, pos);
+            if (isV5) {
+                byteStream.set(propertyBytes, pos);
+                pos += propertyBytes.length;
+            }
         }
 
         // Output the messageIdentifier - if there is one
@@ -366,6 +520,10 @@ Messaging = (function (global) {
             case MESSAGE_TYPE.CONNECT:
                 pos = writeString(this.clientId, UTF8Length(this.clientId), byteStream, pos);
                 if (this.willMessage != undefined) {
+                    if (isV5) {
+                        byteStream.set(willPropertyBytes, pos);
+                        pos += willPropertyBytes.length;
+                    }
                     pos = writeString(this.willMessage.destinationName, UTF8Length(this.willMessage.destinationName), byteStream, pos);
                     pos = writeUint16(willMessagePayloadBytes.byteLength, byteStream, pos);
                     byteStream.set(willMessagePayloadBytes, pos);
@@ -379,6 +537,11 @@ Messaging = (function (global) {
                 break;
 
             case MESSAGE_TYPE.PUBLISH:
+                // The MQTT 5 properties sit between the message identifier and the payload.
+                if (isV5) {
+                    byteStream.set(propertyBytes, pos);
+                    pos += propertyBytes.length;
+                }
                 // PUBLISH has a text or binary payload, if text do not add a 2 byte length field, just the UTF characters.
                 byteStream.set(payloadBytes, pos);
 
@@ -390,19 +553,38 @@ Messaging = (function (global) {
 //    	    	break;
 
             case MESSAGE_TYPE.SUBSCRIBE:
-                // SUBSCRIBE has a list of topic strings and request QoS
+                if (isV5) {
+                    byteStream.set(propertyBytes, pos);
+                    pos += propertyBytes.length;
+                }
+                // SUBSCRIBE has a list of topic strings and request QoS, MQTT 5 adds the subscription options.
                 for (var i = 0; i < this.topics.length; i++) {
                     pos = writeString(this.topics[i], topicStrLength[i], byteStream, pos);
-                    byteStream[pos++] = this.requestedQos[i];
+                    if (isV5 && this.subscriptionOptions)
+                        byteStream[pos++] = this.subscriptionOptions[i];
+                    else
+                        byteStream[pos++] = this.requestedQos[i];
                 }
                 break;
 
             case MESSAGE_TYPE.UNSUBSCRIBE:
+                if (isV5) {
+                    byteStream.set(propertyBytes, pos);
+                    pos += propertyBytes.length;
+                }
                 // UNSUBSCRIBE has a list of topic strings
                 for (var i = 0; i < this.topics.length; i++)
                     pos = writeString(this.topics[i], topicStrLength[i], byteStream, pos);
                 break;
 
+            case MESSAGE_TYPE.DISCONNECT:
+                if (isV5 && this.reasonCode != undefined) {
+                    byteStream[pos++] = this.reasonCode;
+                    byteStream.set(propertyBytes, pos);
+                    pos += propertyBytes.length;
+                }
+                break;
+
             default:
             // Do nothing.
         }
@@ -410,12 +592,14 @@ Messaging = (function (global) {
         return buffer;
     }
 
-    function decodeMessage(input) {
+    function decodeMessage(input, protocolVersion) {
         //var msg = new Object();  // message to be constructed
         var first = input[0];
         var type = first >> 4;
         var messageInfo = first &= 0x0f;
         var pos = 1;
+        var isV5 = protocolVersion >= 5;
+        var decoded;
 
 
         // Decode the remaining length (MBI format)
@@ -429,11 +613,17 @@ Messaging = (function (global) {
             multiplier *= 128;
         } while ((digit & 0x80) != 0);
 
+        var endPos = pos + remLength;
         var wireMessage = new WireMessage(type);
         switch (type) {
             case MESSAGE_TYPE.CONNACK:
                 wireMessage.topicNameCompressionResponse = input[pos++];
+                wireMessage.sessionPresent = (wireMessage.topicNameCompressionResponse & 0x01) == 0x01;
                 wireMessage.returnCode = input[pos++];
+                if (isV5 && pos < endPos) {
+                    decoded = decodeProperties(input, pos);
+                    wireMessage.properties = decoded.properties;
+                }
                 break;
 
             case MESSAGE_TYPE.PUBLISH:
@@ -449,13 +639,20 @@ Messaging = (function (global) {
                     pos += 2;
                 }
 
-                var message = new Messaging.Message(input.subarray(pos));
+                if (isV5) {
+                    decoded = decodeProperties(input, pos);
+                    pos = decoded.pos;
+                }
+
+                var message = new Messaging.Message(input.subarray(pos, endPos));
                 if ((messageInfo & 0x01) == 0x01)
                     message.retained = true;
                 if ((messageInfo & 0x08) == 0x08)
                     message.duplicate = true;
                 message.qos = qos;
                 message.destinationName = topicName;
+                if (isV5)
+                    message.properties = decoded.properties;
                 wireMessage.payloadMessage = message;
                 break;
 
@@ -463,14 +660,45 @@ Messaging = (function (global) {
             case  MESSAGE_TYPE.PUBREC:
             case  MESSAGE_TYPE.PUBREL:
             case  MESSAGE_TYPE.PUBCOMP:
+                wireMessage.messageIdentifier = readUint16(input, pos);
+                pos += 2;
+                // MQTT 5 may append a reason code and properties, a missing reason code means success.
+                wireMessage.reasonCode = 0;
+                if (isV5 && pos < endPos) {
+                    wireMessage.reasonCode = input[pos++];
+                    if (pos < endPos)
+                        wireMessage.properties = decodeProperties(input, pos).properties;
+                }
+                break;
+
             case  MESSAGE_TYPE.UNSUBACK:
                 wireMessage.messageIdentifier = readUint16(input, pos);
+                pos += 2;
+                if (isV5) {
+                    decoded = decodeProperties(input, pos);
+                    wireMessage.properties = decoded.properties;
+                    wireMessage.reasonCodes = input.subarray(decoded.pos, endPos);
+                }
                 break;
 
             case  MESSAGE_TYPE.SUBACK:
                 wireMessage.messageIdentifier = readUint16(input, pos);
                 pos += 2;
-                wireMessage.grantedQos = input.subarray(pos);
+                if (isV5) {
+                    decoded = decodeProperties(input, pos);
+                    wireMessage.properties = decoded.properties;
+                    pos = decoded.pos;
+                }
+                wireMessage.grantedQos = input.subarray(pos, endPos);
+                break;
+
+            case  MESSAGE_TYPE.DISCONNECT:
+                wireMessage.reasonCode = 0;
+                if (pos < endPos) {
+                    wireMessage.reasonCode = input[pos++];
+                    if (pos < endPos)
+                        wireMessage.properties = decodeProperties(input, pos).properties;
+                }
                 break;
 
             default:
@@ -480,6 +708,198 @@ Messaging = (function (global) {
         return wireMessage;
     }
 
+    /**
+     * Encodes an MQTT 5 properties object, including its leading property length.
+     * @private
+     * @param {Object} [properties] property name to value, as listed in PROPERTY.
+     * @return {number[]} the encoded bytes.
+     */
+    function encodeProperties(properties) {
+        var bytes = [];
+        for (var name in properties) {
+            if (!properties.hasOwnProperty(name) || properties[name] === undefined)
+                continue;
+            var id = PROPERTY_ID[name];
+            if (id === undefined)
+                throw new Error(format(ERROR.INVALID_ARGUMENT, [name, "properties"]));
+
+            if (PROPERTY[id].type === "pair") {
+                // User properties may repeat a name, so a value can also be an array of strings.
+                for (var key in properties[name]) {
+                    if (!properties[name].hasOwnProperty(key))
+                        continue;
+                    var values = [].concat(properties[name][key]);
+                    for (var i = 0; i < values.length; i++) {
+                        bytes.push(id);
+                        writePropertyValue("string", key, bytes);
+                        writePropertyValue("string", String(values[i]), bytes);
+                    }
+                }
+            } else {
+                bytes.push(id);
+                writePropertyValue(PROPERTY[id].type, properties[name], bytes);
+            }
+        }
+        return encodeMBI(bytes.length).concat(bytes);
+    }
+
+    /** @ignore Append a single property value in its wire format. */
+    function writePropertyValue(type, value, bytes) {
+        switch (type) {
+            case "byte":
+                bytes.push(value & 0xFF);
+                break;
+            case "int16":
+                bytes.push((value >> 8) & 0xFF, value & 0xFF);
+                break;
+            case "int32":
+                bytes.push((value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+                break;
+            case "varint":
+                bytes.push.apply(bytes, encodeMBI(value));
+                break;
+            case "string":
+                var utf8Length = UTF8Length(value);
+                var pos = bytes.length;
+                writeString(value, utf8Length, bytes, pos);
+                break;
+            case "binary":
+                if (typeof value === "string") {
+                    var stringBytes = [];
+                    stringToUTF8(value, stringBytes, 0);
+                    value = stringBytes;
+                } else if (value instanceof ArrayBuffer) {
+                    value = new Uint8Array(value);
+                }
+                bytes.push((value.length >> 8) & 0xFF, value.length & 0xFF);
+                for (var i = 0; i < value.length; i++)
+                    bytes.push(value[i]);
+                break;
+        }
+    }
+
+    /**
+     * Decodes an MQTT 5 properties block starting with its property length.
+     * @private
+     * @return {Object} properties and pos, the offset of the first byte after the block.
+     */
+    function decodeProperties(input, offset) {
+        var length = decodeMBI(input, offset);
+        var pos = length.pos;
+        var end = pos + length.value;
+        var properties = {};
+
+        while (pos < end) {
+            var id = input[pos++];
+            var property = PROPERTY[id];
+            if (!property)
+                throw new Error(format(ERROR.MALFORMED_PROPERTY, [id]));
+
+            var value;
+            switch (property.type) {
+                case "byte":
+                    value = input[pos++];
+                    break;
+                case "int16":
+                    value = readUint16(input, pos);
+                    pos += 2;
+                    break;
+                case "int32":
+                    value = readUint16(input, pos) * 65536 + readUint16(input, pos + 2);
+                    pos += 4;
+                    break;
+                case "varint":
+                    var mbi = decodeMBI(input, pos);
+                    value = mbi.value;
+                    pos = mbi.pos;
+                    break;
+                case "string":
+                    var len = readUint16(input, pos);
+                    value = parseUTF8(input, pos + 2, len);
+                    pos += len + 2;
+                    break;
+                case "binary":
+                    var len = readUint16(input, pos);
+                    value = new Uint8Array(input.subarray(pos + 2, pos + 2 + len));
+                    pos += len + 2;
+                    break;
+                case "pair":
+                    var keyLength = readUint16(input, pos);
+                    var key = parseUTF8(input, pos + 2, keyLength);
+                    pos += keyLength + 2;
+                    var valueLength = readUint16(input, pos);
+                    var pairValue = parseUTF8(input, pos + 2, valueLength);
+                    pos += valueLength + 2;
+
+                    value = properties[property.name] || {};
+                    if (value.hasOwnProperty(key))
+                        value[key] = [].concat(value[key], pairValue);
+                    else
+                        value[key] = pairValue;
+                    break;
+            }
+
+            // Only user properties and subscription identifiers may appear more than once.
+            if (property.type !== "pair" && properties.hasOwnProperty(property.name))
+                properties[property.name] = [].concat(properties[property.name], value);
+            else
+                properties[property.name] = value;
+        }
+
+        return {properties: properties, pos: end};
+    }
+
+    /**
+     * Copies MQTT 5 properties into a form that survives JSON.stringify, binary
+     * values are kept as hex strings.
+     * @private
+     */
+    function storeProperties(properties) {
+        var stored = {};
+        for (var name in properties) {
+            if (!properties.hasOwnProperty(name))
+                continue;
+            var property = PROPERTY[PROPERTY_ID[name]];
+            if (property && property.type === "binary" && typeof properties[name] !== "string")
+                stored[name] = {hex: bytesToHex(new Uint8Array(properties[name]))};
+            else
+                stored[name] = properties[name];
+        }
+        return stored;
+    }
+
+    /** @ignore Reverse of storeProperties. */
+    function restoreProperties(stored) {
+        var properties = {};
+        for (var name in stored) {
+            if (!stored.hasOwnProperty(name))
+                continue;
+            if (stored[name] !== null && typeof stored[name] === "object" && typeof stored[name].hex === "string")
+                properties[name] = hexToBytes(stored[name].hex);
+            else
+                properties[name] = stored[name];
+        }
+        return properties;
+    }
+
+    function bytesToHex(bytes) {
+        var hex = "";
+        for (var i = 0; i < bytes.length; i++) {
+            if (bytes[i] <= 0xF)
+                hex = hex + "0" + bytes[i].toString(16);
+            else
+                hex = hex + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    function hexToBytes(hex) {
+        var byteStream = new Uint8Array(hex.length / 2);
+        for (var i = 0; i < byteStream.length; i++)
+            byteStream[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+        return byteStream;
+    }
+
     function writeUint16(input, buffer, offset) {
         buffer[offset++] = input >> 8;      //MSB
         buffer[offset++] = input % 256;     //LSB
@@ -516,6 +936,25 @@ Messaging = (function (global) {
         return output;
     }
 
+    /**
+     * Decodes an MQTT Multi-Byte Integer
+     * @private
+     * @return {Object} value and pos, the offset of the first byte after the integer.
+     */
+    function decodeMBI(input, offset) {
+        var digit;
+        var value = 0;
+        var multiplier = 1;
+        var pos = offset;
+        do {
+            digit = input[pos++];
+            value += ((digit & 0x7F) * multiplier);
+            multiplier *= 128;
+        } while ((digit & 0x80) != 0);
+
+        return {value: value, pos: pos};
+    }
+
     /**
      * Takes a String and calculates its length in bytes when encoded in UTF8.
      * @private
@@ -630,7 +1069,8 @@ Messaging = (function (global) {
         this._keepAliveInterval = keepAliveInterval * 1000;
         this.isReset = false;
 
-        var pingReq = new WireMessage(MESSAGE_TYPE.PINGREQ).encode();
+        var pingMessage = new WireMessage(MESSAGE_TYPE.PINGREQ);
+        var pingReq = pingMessage.encode();
 
         var doTimeout = function (pinger) {
             return function () {
@@ -647,6 +1087,7 @@ Messaging = (function (global) {
                 this.isReset = false;
                 this._client._trace("Pinger.doPing", "send PINGREQ");
                 this._client.socket.send(pingReq);
+                this._client._notifyPacket("out", pingMessage, pingReq);
                 this.timeout = this._window.setTimeout(doTimeout(this), this._keepAliveInterval);
             }
         }
@@ -682,7 +1123,7 @@ Messaging = (function (global) {
     };
 
     /*
-     * Internal implementation of the Websockets MQTT V3.1 client.
+     * Internal implementation of the Websockets MQTT V3.1, V3.1.1 and V5 client.
      *
      * @name Messaging.ClientImpl @constructor
      * @param {String} host the DNS nameof the webSocket host.
@@ -759,7 +1200,12 @@ Messaging = (function (global) {
     ClientImpl.prototype.onConnectionLost;
     ClientImpl.prototype.onMessageDelivered;
     ClientImpl.prototype.onMessageArrived;
+    ClientImpl.prototype.onPacket;
+    /* The CONNACK properties sent by an MQTT 5 server. */
+    ClientImpl.prototype.connackProperties = null;
     ClientImpl.prototype._msg_queue = null;
+    /* Topic aliases the server has set up on this connection, alias to topic name. */
+    ClientImpl.prototype._topicAliases = null;
     ClientImpl.prototype._connectTimeout;
     /* The sendPinger monitors how long we allow before we send data to prove to the server that we are alive. */
     ClientImpl.prototype.sendPinger = null;
@@ -802,11 +1248,33 @@ Messaging = (function (global) {
         else
             wireMessage.requestedQos = [0];
 
-        if (subscribeOptions.onSuccess) {
-            wireMessage.callback = function () {
-                subscribeOptions.onSuccess({invocationContext: subscribeOptions.invocationContext});
-            };
+        if (this.connectOptions.protocolVersion >= 5) {
+            var options = wireMessage.requestedQos[0];
+            if (subscribeOptions.noLocal)
+                options |= 0x04;
+            if (subscribeOptions.retainAsPublished)
+                options |= 0x08;
+            if (subscribeOptions.retainHandling)
+                options |= (subscribeOptions.retainHandling << 4);
+            wireMessage.subscriptionOptions = [options];
+            wireMessage.properties = subscribeOptions.properties;
         }
+
+        // A SUBACK return code of 0x80 or above means the server refused the subscription.
+        var protocolVersion = this.connectOptions.protocolVersion;
+        wireMessage.callback = function (grantedQos) {
+            if (grantedQos >= 0x80) {
+                if (subscribeOptions.onFailure) {
+                    var reason = protocolVersion >= 5 ? REASON_CODES[grantedQos] : "Failure";
+                    subscribeOptions.onFailure({invocationContext: subscribeOptions.invocationContext,
+                        errorCode: ERROR.SUBACK_RETURNCODE.code,
+                        errorMessage: format(ERROR.SUBACK_RETURNCODE, [grantedQos, reason]),
+                        reasonCode: grantedQos});
+                }
+            } else if (subscribeOptions.onSuccess) {
+                subscribeOptions.onSuccess({invocationContext: subscribeOptions.invocationContext, grantedQos: grantedQos});
+            }
+        };
         if (subscribeOptions.timeout) {
             wireMessage.timeOut = new Timeout(this, window, subscribeOptions.timeout, subscribeOptions.onFailure
                 , [
@@ -830,6 +1298,8 @@ Messaging = (function (global) {
 
         var wireMessage = new WireMessage(MESSAGE_TYPE.UNSUBSCRIBE);
         wireMessage.topics = [filter];
+        if (this.connectOptions.protocolVersion >= 5)
+            wireMessage.properties = unsubscribeOptions.properties;
 
         if (unsubscribeOptions.onSuccess) {
             wireMessage.callback = function () {
@@ -895,6 +1365,19 @@ Messaging = (function (global) {
         }
     };
 
+    ClientImpl.prototype.peekTraceLog = function () {
+        return this._traceBuffer !== null ? this._traceBuffer.slice(0) : [];
+    };
+
+    ClientImpl.prototype.ping = function () {
+        this._trace("Client.ping");
+
+        if (!this.connected)
+            throw new Error(format(ERROR.INVALID_STATE, ["not connected"]));
+
+        this._socket_send(new WireMessage(MESSAGE_TYPE.PINGREQ));
+    };
+
     ClientImpl.prototype.startTrace = function () {
         if (this._traceBuffer === null) {
             this._traceBuffer = [];
@@ -913,7 +1396,8 @@ Messaging = (function (global) {
         else
             wsurl = ["ws://", host, ":", port, "/ws"].join("");
         this.connected = false;
-        this.socket = new WebSocket(wsurl, 'mqttv3.1');
+        this._topicAliases = {};
+        this.socket = new WebSocket(wsurl, this.connectOptions.protocolVersion >= 4 ? 'mqtt' : 'mqttv3.1');
         this.socket.binaryType = 'arraybuffer';
         this.socket.onopen = scope(this._on_socket_open, this);
         this.socket.onmessage = scope(this._on_socket_message, this);
@@ -950,15 +1434,7 @@ Messaging = (function (global) {
 
                 // Convert the payload to a hex string.
                 storedMessage.payloadMessage = {};
-                var hex = "";
-                var messageBytes = wireMessage.payloadMessage.payloadBytes;
-                for (var i = 0; i < messageBytes.length; i++) {
-                    if (messageBytes[i] <= 0xF)
-                        hex = hex + "0" + messageBytes[i].toString(16);
-                    else
-                        hex = hex + messageBytes[i].toString(16);
-                }
-                storedMessage.payloadMessage.payloadHex = hex;
+                storedMessage.payloadMessage.payloadHex = bytesToHex(new Uint8Array(wireMessage.payloadMessage.payloadBytes));
 
                 storedMessage.payloadMessage.qos = wireMessage.payloadMessage.qos;
                 storedMessage.payloadMessage.destinationName = wireMessage.payloadMessage.destinationName;
@@ -966,6 +1442,9 @@ Messaging = (function (global) {
                     storedMessage.payloadMessage.duplicate = true;
                 if (wireMessage.payloadMessage.retained)
                     storedMessage.payloadMessage.retained = true;
+                // MQTT 5 properties, e.g. the response topic and correlation data of a command.
+                if (wireMessage.payloadMessage.properties)
+                    storedMessage.payloadMessage.properties = storeProperties(wireMessage.payloadMessage.properties);
 
                 // Add a sequence number to sent messages.
                 if (prefix.indexOf("Sent:") == 0) {
@@ -990,16 +1469,7 @@ Messaging = (function (global) {
         switch (storedMessage.type) {
             case MESSAGE_TYPE.PUBLISH:
                 // Replace the payload message with a Message object.
-                var hex = storedMessage.payloadMessage.payloadHex;
-                var buffer = new ArrayBuffer((hex.length) / 2);
-                var byteStream = new Uint8Array(buffer);
-                var i = 0;
-                while (hex.length >= 2) {
-                    var x = parseInt(hex.substring(0, 2), 16);
-                    hex = hex.substring(2, hex.length);
-                    byteStream[i++] = x;
-                }
-                var payloadMessage = new Messaging.Message(byteStream);
+                var payloadMessage = new Messaging.Message(hexToBytes(storedMessage.payloadMessage.payloadHex));
 
                 payloadMessage.qos = storedMessage.payloadMessage.qos;
                 payloadMessage.destinationName = storedMessage.payloadMessage.destinationName;
@@ -1007,6 +1477,8 @@ Messaging = (function (global) {
                     payloadMessage.duplicate = true;
                 if (storedMessage.payloadMessage.retained)
                     payloadMessage.retained = true;
+                if (storedMessage.payloadMessage.properties)
+                    payloadMessage.properties = restoreProperties(storedMessage.payloadMessage.properties);
                 wireMessage.payloadMessage = payloadMessage;
 
                 break;
@@ -1016,6 +1488,9 @@ Messaging = (function (global) {
         }
 
         if (key.indexOf("Sent:" + this._localKey) == 0) {
+            // Messages sent after a reload must be resent after the restored ones.
+            if (wireMessage.sequence > this._sequence)
+                this._sequence = wireMessage.sequence;
             this._sentMessages[wireMessage.messageIdentifier] = wireMessage;
         } else if (key.indexOf("Received:" + this._localKey) == 0) {
             this._receivedMessages[wireMessage.messageIdentifier] = wireMessage;
@@ -1083,12 +1558,13 @@ Messaging = (function (global) {
         this.receivePinger.reset();
         var byteArray = new Uint8Array(event.data);
         try {
-            var wireMessage = decodeMessage(byteArray);
+            var wireMessage = decodeMessage(byteArray, this.connectOptions.protocolVersion);
         } catch (error) {
             this._disconnected(ERROR.INTERNAL_ERROR.code, format(ERROR.INTERNAL_ERROR, [error.message]));
             return;
         }
         this._trace("Client._on_socket_message", wireMessage);
+        this._notifyPacket("in", wireMessage, event.data);
 
         switch (wireMessage.type) {
             case MESSAGE_TYPE.CONNACK:
@@ -1115,10 +1591,18 @@ Messaging = (function (global) {
                     if (this.connectOptions.hosts)
                         this.hostIndex = this.connectOptions.hosts.length;
                 } else {
-                    this._disconnected(ERROR.CONNACK_RETURNCODE.code, format(ERROR.CONNACK_RETURNCODE, [wireMessage.returnCode, CONNACK_RC[wireMessage.returnCode]]));
+                    var returnCodes = this.connectOptions.protocolVersion >= 5 ? REASON_CODES : CONNACK_RC;
+                    this._disconnected(ERROR.CONNACK_RETURNCODE.code, format(ERROR.CONNACK_RETURNCODE, [wireMessage.returnCode, returnCodes[wireMessage.returnCode]]), wireMessage.returnCode);
                     break;
                 }
 
+                // An MQTT 5 server may override the keep alive interval we asked for.
+                this.connackProperties = wireMessage.properties || {};
+                if (this.connackProperties.serverKeepAlive !== undefined) {
+                    this.sendPinger._keepAliveInterval = this.connackProperties.serverKeepAlive * 1000;
+                    this.receivePinger._keepAliveInterval = this.connackProperties.serverKeepAlive * 1000;
+                }
+
                 // Resend messages.
                 var sequencedMessages = new Array();
                 for (var msgId in this._sentMessages) {
@@ -1143,7 +1627,9 @@ Messaging = (function (global) {
 
                 // Execute the connectOptions.onSuccess callback if there is one.
                 if (this.connectOptions.onSuccess) {
-                    this.connectOptions.onSuccess({invocationContext: this.connectOptions.invocationContext});
+                    this.connectOptions.onSuccess({invocationContext: this.connectOptions.invocationContext,
+                        sessionPresent: wireMessage.sessionPresent,
+                        properties: this.connackProperties});
                 }
 
                 // Process all queued messages now that the connection is established.
@@ -1151,6 +1637,8 @@ Messaging = (function (global) {
                 break;
 
             case MESSAGE_TYPE.PUBLISH:
+                if (!this._resolveTopicAlias(wireMessage.payloadMessage))
+                    break;
                 this._receivePublish(wireMessage);
                 break;
 
@@ -1160,13 +1648,22 @@ Messaging = (function (global) {
                 if (sentMessage) {
                     delete this._sentMessages[wireMessage.messageIdentifier];
                     localStorage.removeItem("Sent:" + this._localKey + wireMessage.messageIdentifier);
-                    if (this.onMessageDelivered)
+                    if (wireMessage.reasonCode >= 0x80)
+                        this._trace("Client.PUBACK refused", wireMessage.reasonCode, REASON_CODES[wireMessage.reasonCode]);
+                    else if (this.onMessageDelivered)
                         this.onMessageDelivered(sentMessage.payloadMessage);
                 }
                 break;
 
             case MESSAGE_TYPE.PUBREC:
                 var sentMessage = this._sentMessages[wireMessage.messageIdentifier];
+                // An MQTT 5 PUBREC with an error reason code ends the QoS 2 flow, no PUBREL follows.
+                if (sentMessage && wireMessage.reasonCode >= 0x80) {
+                    this._trace("Client.PUBREC refused", wireMessage.reasonCode, REASON_CODES[wireMessage.reasonCode]);
+                    delete this._sentMessages[wireMessage.messageIdentifier];
+                    localStorage.removeItem("Sent:" + this._localKey + wireMessage.messageIdentifier);
+                    break;
+                }
                 // If this is a re flow of a PUBREC after we have restarted receivedMessage will not exist.
                 if (sentMessage) {
                     sentMessage.pubRecReceived = true;
@@ -1205,7 +1702,7 @@ Messaging = (function (global) {
                     if (sentMessage.timeOut)
                         sentMessage.timeOut.cancel();
                     if (sentMessage.callback) {
-                        sentMessage.callback();
+                        sentMessage.callback(wireMessage.grantedQos[0]);
                     }
                     delete this._sentMessages[wireMessage.messageIdentifier];
                 }
@@ -1230,8 +1727,11 @@ Messaging = (function (global) {
                 break;
 
             case MESSAGE_TYPE.DISCONNECT:
-                // Clients do not expect to receive disconnect packets.
-                this._disconnected(ERROR.INVALID_MQTT_MESSAGE_TYPE.code, format(ERROR.INVALID_MQTT_MESSAGE_TYPE, [wireMessage.type]));
+                // Only MQTT 5 servers may send a DISCONNECT, it carries the reason for closing the connection.
+                if (this.connectOptions.protocolVersion >= 5)
+                    this._disconnected(ERROR.SERVER_DISCONNECT.code, format(ERROR.SERVER_DISCONNECT, [wireMessage.reasonCode, REASON_CODES[wireMessage.reasonCode]]), wireMessage.reasonCode);
+                else
+                    this._disconnected(ERROR.INVALID_MQTT_MESSAGE_TYPE.code, format(ERROR.INVALID_MQTT_MESSAGE_TYPE, [wireMessage.type]));
                 break;
 
             default:
@@ -1258,11 +1758,19 @@ Messaging = (function (global) {
         }
         else this._trace("Client._socket_send", wireMessage);
 
-        this.socket.send(wireMessage.encode());
+        var buffer = wireMessage.encode(this.connectOptions.protocolVersion);
+        this.socket.send(buffer);
+        this._notifyPacket("out", wireMessage, buffer);
         /* We have proved to the server we are alive. */
         this.sendPinger.reset();
     };
 
+    /** @ignore Hand every packet that crossed the socket to the onPacket callback. */
+    ClientImpl.prototype._notifyPacket = function (direction, wireMessage, buffer) {
+        if (this.onPacket)
+            this.onPacket({direction: direction, type: wireMessage.type, wireMessage: wireMessage, bytes: new Uint8Array(buffer)});
+    };
+
     /** @ignore */
     ClientImpl.prototype._receivePublish = function (wireMessage) {
         switch (wireMessage.payloadMessage.qos) {
@@ -1291,6 +1799,27 @@ Messaging = (function (global) {
         ;
     };
 
+    /**
+     * @ignore
+     * Replace an MQTT 5 topic alias by the topic name it stands for.
+     * @return {boolean} false if the alias is unknown and the message has to be dropped.
+     */
+    ClientImpl.prototype._resolveTopicAlias = function (message) {
+        var alias = message.properties && message.properties.topicAlias;
+        if (alias === undefined)
+            return true;
+
+        if (message.destinationName.length > 0) {
+            this._topicAliases[alias] = message.destinationName;
+        } else if (this._topicAliases[alias] !== undefined) {
+            message.destinationName = this._topicAliases[alias];
+        } else {
+            this._trace("Client._resolveTopicAlias unknown alias", alias);
+            return false;
+        }
+        return true;
+    };
+
     /** @ignore */
     ClientImpl.prototype._receiveMessage = function (wireMessage) {
         if (this.onMessageArrived) {
@@ -1304,8 +1833,9 @@ Messaging = (function (global) {
      * or network disconnected it. Remove all non-durable state.
      * @param {errorCode} [number] the error number.
      * @param {errorText} [string] the error text.
+     * @param {reasonCode} [number] the CONNACK or DISCONNECT reason code sent by the server.
      */
-    ClientImpl.prototype._disconnected = function (errorCode, errorText) {
+    ClientImpl.prototype._disconnected = function (errorCode, errorText, reasonCode) {
         this._trace("Client._disconnected", errorCode, errorText);
 
         this.sendPinger.cancel();
@@ -1339,16 +1869,21 @@ Messaging = (function (global) {
                 errorText = format(ERROR.OK);
             }
 
+            var response = {errorCode: errorCode, errorMessage: errorText};
+            if (reasonCode !== undefined)
+                response.reasonCode = reasonCode;
+
             // Run any application callbacks last as they may attempt to reconnect and hence create a new socket.
             if (this.connected) {
                 this.connected = false;
                 // Execute the connectionLostCallback if there is one, and we were connected.       
                 if (this.onConnectionLost)
-                    this.onConnectionLost({errorCode: errorCode, errorMessage: errorText});
+                    this.onConnectionLost(response);
             } else {
                 // Otherwise we never had a connection, so indicate that the connect has failed.
+                response.invocationContext = this.connectOptions.invocationContext;
                 if (this.connectOptions.onFailure)
-                    this.connectOptions.onFailure({invocationContext: this.connectOptions.invocationContext, errorCode: errorCode, errorMessage: errorText});
+                    this.connectOptions.onFailure(response);
             }
         }
     };
@@ -1432,6 +1967,7 @@ Messaging = (function (global) {
      * <ol>
      * <li>errorCode
      * <li>errorMessage
+     * <li>reasonCode the reason code of a DISCONNECT sent by the server, if there was one.
      * </ol>
      * @property {function} onMessageDelivered called when a message has been delivered.
      * All processing that this Client will ever do has been completed. So, for example,
@@ -1446,6 +1982,17 @@ Messaging = (function (global) {
      * <ol>
      * <li>Messaging.Message that has arrived.
      * </ol>
+     * @property {function} onPacket called for every MQTT packet sent or received on the socket.
+     * Parameters passed to the onPacket callback are:
+     * <ol>
+     * <li>packet an object with the following fields:
+     * <ol>
+     * <li>direction "in" or "out".
+     * <li>type the MQTT control packet type number.
+     * <li>wireMessage the decoded packet.
+     * <li>bytes Uint8Array holding the packet as it went over the wire.
+     * </ol>
+     * </ol>
      */
     var Client = function (host, port, clientId) {
         if (typeof host !== "string")
@@ -1506,6 +2053,16 @@ Messaging = (function (global) {
                 throw new Error(format(ERROR.INVALID_TYPE, [typeof newOnMessageDelivered, "onMessageDelivered"]));
         };
 
+        this._getOnPacket = function () {
+            return client.onPacket;
+        };
+        this._setOnPacket = function (newOnPacket) {
+            if (typeof newOnPacket === "function")
+                client.onPacket = newOnPacket;
+            else
+                throw new Error(format(ERROR.INVALID_TYPE, [typeof newOnPacket, "onPacket"]));
+        };
+
         this._getOnMessageArrived = function () {
             return client.onMessageArrived;
         };
@@ -1533,11 +2090,16 @@ Messaging = (function (global) {
          *                number of seconds. The default value of 60 seconds is assumed if not set.
          * @config {boolean} [cleanSession] if true(default) the client and server persistent state is deleted on successful connect.
          * @config {boolean} [useSSL] if present and true, use an SSL Websocket connection.
+         * @config {number} [protocolVersion] 3 for MQTT 3.1 (default), 4 for MQTT 3.1.1 or 5 for MQTT 5.
+         * @config {object} [properties] MQTT 5 CONNECT properties, e.g. sessionExpiryInterval or userProperties.
+         * Only allowed with protocolVersion 5.
          * @config {object} [invocationContext] passed to the onSuccess callback or onFailure callback.
          * @config {function} [onSuccess] called when the connect acknowledgement has been received from the server.
          * A single response object parameter is passed to the onSuccess callback containing the following fields:
          * <ol>
          * <li>invocationContext as passed in to the onSuccess method in the connectOptions.
+         * <li>sessionPresent true if the server resumed an existing session.
+         * <li>properties the MQTT 5 CONNACK properties, empty for older protocol versions.
          * </ol>
          * @config {function} [onFailure] called when the connect request has failed or timed out.
          * A single response object parameter is passed to the onFailure callback containing the following fields:
@@ -1545,6 +2107,7 @@ Messaging = (function (global) {
          * <li>invocationContext as passed in to the onFailure method in the connectOptions.
          * <li>errorCode a number indicating the nature of the error.
          * <li>errorMessage text describing the error.
+         * <li>reasonCode the CONNACK return code, if the server refused the connection.
          * </ol>
          * @config {Array} [hosts] If present this set of hostnames is tried in order in place
          * of the host and port paramater on the construtor. The hosts and the matching ports are tried one at at time in order until
@@ -1562,12 +2125,21 @@ Messaging = (function (global) {
                 keepAliveInterval: "number",
                 cleanSession: "boolean",
                 useSSL: "boolean",
+                protocolVersion: "number",
+                properties: "object",
                 invocationContext: "object",
                 onSuccess: "function",
                 onFailure: "function",
                 hosts: "object",
                 ports: "object"});
 
+            if (connectOptions.protocolVersion === undefined)
+                connectOptions.protocolVersion = 3;
+            if (!(connectOptions.protocolVersion === 3 || connectOptions.protocolVersion === 4 || connectOptions.protocolVersion === 5))
+                throw new Error(format(ERROR.INVALID_ARGUMENT, [connectOptions.protocolVersion, "connectOptions.protocolVersion"]));
+            if (connectOptions.properties && connectOptions.protocolVersion < 5)
+                throw new Error(format(ERROR.INVALID_ARGUMENT, [connectOptions.properties, "connectOptions.properties"]));
+
             // If no keep alive interval is set, assume 60 seconds.
             if (connectOptions.keepAliveInterval === undefined)
                 connectOptions.keepAliveInterval = 60;
@@ -1616,18 +2188,24 @@ Messaging = (function (global) {
          * @param {object} [subscribeOptions] used to control the subscription, as follows:
          * <p>
          * @config {number} [qos] the maiximum qos of any publications sent as a result of making this subscription.
+         * @config {boolean} [noLocal] MQTT 5 only, do not receive the messages published by this client.
+         * @config {boolean} [retainAsPublished] MQTT 5 only, keep the retain flag the messages were published with.
+         * @config {number} [retainHandling] MQTT 5 only, 0 send retained messages, 1 only for new subscriptions, 2 never.
+         * @config {object} [properties] MQTT 5 SUBSCRIBE properties, e.g. subscriptionIdentifier or userProperties.
          * @config {object} [invocationContext] passed to the onSuccess callback or onFailure callback.
          * @config {function} [onSuccess] called when the subscribe acknowledgement has been received from the server.
          * A single response object parameter is passed to the onSuccess callback containing the following fields:
          * <ol>
          * <li>invocationContext if set in the subscribeOptions.
+         * <li>grantedQos the QoS the server granted for this subscription.
          * </ol>
-         * @config {function} [onFailure] called when the subscribe request has failed or timed out.
+         * @config {function} [onFailure] called when the subscribe request has failed, timed out or was refused by the server.
          * A single response object parameter is passed to the onFailure callback containing the following fields:
          * <ol>
          * <li>invocationContext if set in the subscribeOptions.
          * <li>errorCode a number indicating the nature of the error.
          * <li>errorMessage text describing the error.
+         * <li>reasonCode the SUBACK return code, if the server refused the subscription.
          * </ol>
          * @config {number} [timeout] which if present determines the number of seconds after which the onFailure calback is called
          * the presence of a timeout does not prevent the onSuccess callback from being called when the MQTT Suback is eventually received.
@@ -1638,6 +2216,10 @@ Messaging = (function (global) {
                 throw new Error("Invalid argument:" + filter);
             subscribeOptions = subscribeOptions || {};
             validate(subscribeOptions, {qos: "number",
+                noLocal: "boolean",
+                retainAsPublished: "boolean",
+                retainHandling: "number",
+                properties: "object",
                 invocationContext: "object",
                 onSuccess: "function",
                 onFailure: "function",
@@ -1648,6 +2230,9 @@ Messaging = (function (global) {
             if (typeof subscribeOptions.qos !== "undefined"
                 && !(subscribeOptions.qos === 0 || subscribeOptions.qos === 1 || subscribeOptions.qos === 2 ))
                 throw new Error(format(ERROR.INVALID_ARGUMENT, [subscribeOptions.qos, "subscribeOptions.qos"]));
+            if (typeof subscribeOptions.retainHandling !== "undefined"
+                && !(subscribeOptions.retainHandling === 0 || subscribeOptions.retainHandling === 1 || subscribeOptions.retainHandling === 2 ))
+                throw new Error(format(ERROR.INVALID_ARGUMENT, [subscribeOptions.retainHandling, "subscribeOptions.retainHandling"]));
             client.subscribe(filter, subscribeOptions);
         };
 
@@ -1659,6 +2244,7 @@ Messaging = (function (global) {
          * @param {string} filter describing the destinations to receive messages from.
          * @param {object} [unsubscribeOptions] used to control the subscription, as follows:
          * <p>
+         * @config {object} [properties] MQTT 5 UNSUBSCRIBE properties, e.g. userProperties.
          * @config {object} [invocationContext] passed to the onSuccess callback or onFailure callback.
          * @config {function} [onSuccess] called when the unsubscribe acknowledgement has been receive dfrom the server.
          * A single response object parameter is passed to the onSuccess callback containing the following fields:
@@ -1680,7 +2266,8 @@ Messaging = (function (global) {
             if (typeof filter !== "string")
                 throw new Error("Invalid argument:" + filter);
             unsubscribeOptions = unsubscribeOptions || {};
-            validate(unsubscribeOptions, {invocationContext: "object",
+            validate(unsubscribeOptions, {properties: "object",
+                invocationContext: "object",
                 onSuccess: "function",
                 onFailure: "function",
                 timeout: "number"
@@ -1730,6 +2317,29 @@ Messaging = (function (global) {
             return client.getTraceLog();
         }
 
+        /**
+         * Get a copy of the trace log as it is. Unlike getTraceLog nothing is
+         * added to the log, so it can be polled.
+         *
+         * @name Messaging.Client#peekTraceLog
+         * @function
+         * @return {Object[]} tracebuffer containing the time ordered trace records.
+         */
+        this.peekTraceLog = function () {
+            return client.peekTraceLog();
+        };
+
+        /**
+         * Send a PINGREQ to the server right away, the PINGRESP is reported to onPacket.
+         *
+         * @name Messaging.Client#ping
+         * @function
+         * @throws {InvalidState} if the client is not in connected state.
+         */
+        this.ping = function () {
+            client.ping();
+        };
+
         /**
          * Start tracing.
          *
@@ -1787,6 +2397,13 @@ Messaging = (function (global) {
             this._setOnMessageDelivered(newOnMessageDelivered);
         },
 
+        get onPacket() {
+            return this._getOnPacket();
+        },
+        set onPacket(newOnPacket) {
+            this._setOnPacket(newOnPacket);
+        },
+
         get onMessageArrived() {
             return this._getOnMessageArrived();
         },
@@ -1831,6 +2448,9 @@ Messaging = (function (global) {
      * <p>
      * @property {Boolean} duplicate <i>read only</i> If true, this message might be a duplicate of one which has already been received.
      *                     This is only set on messages received from the server.
+     * <p>
+     * @property {Object} properties The MQTT 5 PUBLISH properties, e.g. responseTopic, correlationData,
+     *                    contentType or userProperties. Ignored when connected with an older protocol version.
      *
      */
     var Message = function (newPayload) {
@@ -1911,6 +2531,17 @@ Messaging = (function (global) {
         this._setDuplicate = function (newDuplicate) {
             duplicate = newDuplicate;
         };
+
+        var properties = undefined;
+        this._getProperties = function () {
+            return properties;
+        };
+        this._setProperties = function (newProperties) {
+            if (typeof newProperties === "object")
+                properties = newProperties;
+            else
+                throw new Error(format(ERROR.INVALID_ARGUMENT, [newProperties, "newProperties"]));
+        };
     };
 
     Message.prototype = {
@@ -1947,6 +2578,13 @@ Messaging = (function (global) {
         },
         set duplicate(newDuplicate) {
             this._setDuplicate(newDuplicate);
+        },
+
+        get properties() {
+            return this._getProperties();
+        },
+        set properties(newProperties) {
+            this._setProperties(newProperties);
         }
     };
 
@@ -0,0 +1,200 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Non-blocking notifications. Every message is shown as a toast in the corner
+ * of the page and kept in the "Fehlerprotokoll" panel, errors of the MQTT
+ * library are translated into an explanation of what went wrong and what to
+ * check.
+ */
+var notifications = {
+    'lastId': 1,
+    'log': [],
+    'maxLog': 200,
+    'unread': 0,
+
+    // Seconds a toast stays on screen, 0 keeps it until it is closed.
+    'durations': {
+        'error': 10,
+        'warning': 6,
+        'info': 4,
+        'success': 3
+    },
+
+    // Error codes of mqttws31.js, see its ERROR table.
+    'errors': {
+        1: 'connectTimeout',
+        2: 'subscribeTimeout',
+        3: 'unsubscribeTimeout',
+        4: 'pingTimeout',
+        5: 'internalError',
+        7: 'socketError',
+        8: 'socketClose',
+        18: 'subscribeRefused',
+        19: 'serverDisconnect'
+    },
+
+    // CONNACK return codes of MQTT 3.1 and 3.1.1.
+    'connack': {
+        1: 'protocolVersion',
+        2: 'clientId',
+        3: 'serverUnavailable',
+        4: 'badCredentials',
+        5: 'notAuthorized'
+    },
+
+    // MQTT 5 reason codes of CONNACK, SUBACK and DISCONNECT.
+    'reasons': {
+        0x84: 'protocolVersion',
+        0x85: 'clientId',
+        0x86: 'badCredentials',
+        0x87: 'notAuthorized',
+        0x88: 'serverUnavailable',
+        0x89: 'serverBusy',
+        0x8A: 'banned',
+        0x8B: 'serverShutdown',
+        0x8D: 'keepAliveTimeout',
+        0x8E: 'sessionTakenOver',
+        0x8F: 'topicFilterInvalid',
+        0x97: 'quotaExceeded',
+        0x98: 'administrativeAction',
+        0x9E: 'sharedNotSupported',
+        0xA2: 'wildcardNotSupported'
+    },
+
+    /**
+     * Turns the failure object of the MQTT library ({errorCode, errorMessage, reasonCode})
+     * into an explanation, falling back to the original English text.
+     */
+    'explain': function (response) {
+        var known;
+        if (response.reasonCode !== undefined) {
+            var v5 = websocketclient.connectOptions && websocketclient.connectOptions.protocolVersion >= 5;
+            known = response.errorCode === 6 && !v5 ? notifications.connack[response.reasonCode] : notifications.reasons[response.reasonCode];
+        }
+        known = known || notifications.errors[response.errorCode];
+
+        return {
+            'code': response.errorCode,
+            'text': known ? i18n.t('mqtt.' + known) : response.errorMessage,
+            'hint': known && i18n.has('mqtt.' + known + 'Hint') ? i18n.t('mqtt.' + known + 'Hint') : null,
+            'details': response.errorMessage
+        };
+    },
+
+    'notify': function (level, text, details, hint) {
+        var entry = {
+            'id': notifications.lastId++,
+            'level': level,
+            'text': text,
+            'hint': hint || null,
+            'details': details || null,
+            'timestamp': moment()
+        };
+
+        notifications.log.unshift(entry);
+        if (notifications.log.length > notifications.maxLog) {
+            notifications.log.pop();
+        }
+        if (level === 'error' || level === 'warning') {
+            notifications.unread++;
+        }
+
+        notifications.render.toast(entry);
+        notifications.render.log();
+        return entry;
+    },
+
+    'error': function (text, details, hint) {
+        return notifications.notify('error', text, details, hint);
+    },
+
+    'warning': function (text, details, hint) {
+        return notifications.notify('warning', text, details, hint);
+    },
+
+    'info': function (text, details) {
+        return notifications.notify('info', text, details);
+    },
+
+    'success': function (text, details) {
+        return notifications.notify('success', text, details);
+    },
+
+    // Reports a failure of the MQTT library, prefixed with what the client was trying to do.
+    'mqttError': function (level, action, response) {
+        var explained = notifications.explain(response);
+        return notifications.notify(level, action + ': ' + explained.text, explained.details, explained.hint);
+    },
+
+    'dismiss': function (id) {
+        $('#toast' + id).fadeOut(200, function () {
+            $(this).remove();
+        });
+    },
+
+    'clear': function () {
+        notifications.log = [];
+        notifications.unread = 0;
+        notifications.render.log();
+    },
+
+    'markRead': function () {
+        notifications.unread = 0;
+        notifications.render.badge();
+    },
+
+    'render': {
+
+        'toast': function (entry) {
+            if (!$('#toasts').length) {
+                $('body').append('<div id="toasts"></div>');
+            }
+
+            var html = '<div class="toast ' + entry.level + '" id="toast' + entry.id + '">' +
+                '   <a href="#" class="toastClose" onclick="notifications.dismiss(' + entry.id + '); return false;">x</a>' +
+                '   <div class="toastText"><strong>' + i18n.t('notification.' + entry.level) + '</strong> ' + Encoder.htmlEncode(entry.text) + '</div>';
+            if (entry.hint) {
+                html += '   <div class="toastHint">' + Encoder.htmlEncode(entry.hint) + '</div>';
+            }
+            html += '</div>';
+            $('#toasts').prepend(html);
+
+            var duration = notifications.durations[entry.level];
+            if (duration > 0) {
+                setTimeout(function () {
+                    notifications.dismiss(entry.id);
+                }, duration * 1000);
+            }
+        },
+
+        'log': function () {
+            var html = '';
+            _.forEach(notifications.log, function (entry) {
+                html += '<li class="errorLine ' + entry.level + '">' +
+                    '   <div class="errorDate">' + i18n.formatDate(entry.timestamp) + ' - ' + i18n.t('notification.' + entry.level) + '</div>' +
+                    '   <div class="errorText">' + Encoder.htmlEncode(entry.text) + '</div>' +
+                    (entry.hint ? '   <div class="errorHint">' + Encoder.htmlEncode(entry.hint) + '</div>' : '') +
+                    (entry.details ? '   <div class="errorDetails">' + Encoder.htmlEncode(entry.details) + '</div>' : '') +
+                    '</li>';
+            });
+            $('#errorsEdit').html(html || '<li class="errorEmpty">' + i18n.t('notification.empty') + '</li>');
+            notifications.render.badge();
+        },
+
+        'badge': function () {
+            $('#errorsBadge').text(notifications.unread > 0 ? notifications.unread : '').toggle(notifications.unread > 0);
+        }
+    }
+};
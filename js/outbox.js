@@ -0,0 +1,119 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Holds back commands that are published while there is no broker connection
+ * and sends them in the same order once the client is connected again. The
+ * queue is kept in localStorage per broker, so it also survives a reload.
+ */
+var outbox = {
+    'lastId': 1,
+    'broker': null,
+    'entries': [],
+    'storageKey': 'instarOutbox',
+
+    'load': function () {
+        try {
+            return JSON.parse(localStorage.getItem(outbox.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    'save': function () {
+        var stored = outbox.load();
+        if (outbox.entries.length) {
+            stored[outbox.broker] = outbox.entries;
+        } else {
+            delete stored[outbox.broker];
+        }
+        try {
+            localStorage.setItem(outbox.storageKey, JSON.stringify(stored));
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('outbox.saveFailed', [e.message]));
+        }
+    },
+
+    // Commands are only ever sent to the broker they were queued for.
+    'open': function (broker) {
+        outbox.broker = broker;
+        outbox.entries = outbox.load()[broker] || [];
+        outbox.lastId = _.reduce(outbox.entries, function (max, entry) {
+            return Math.max(max, entry.id);
+        }, 0) + 1;
+        outbox.render.list();
+    },
+
+    'add': function (topic, payload, qos, retain, source) {
+        outbox.entries.push({
+            'id': outbox.lastId++,
+            'topic': topic,
+            'payload': payload,
+            'qos': qos,
+            'retain': retain,
+            'source': source || null,
+            'queued': new Date().getTime()
+        });
+        outbox.save();
+        outbox.render.list();
+        websocketclient.render.show('outbox');
+        notifications.info(i18n.t('outbox.queued', [topic]));
+    },
+
+    'cancel': function (id) {
+        outbox.entries = _.reject(outbox.entries, {'id': id});
+        outbox.save();
+        outbox.render.list();
+    },
+
+    'clear': function () {
+        if (!outbox.entries.length || !confirm(i18n.t('common.confirm'))) {
+            return;
+        }
+        outbox.entries = [];
+        outbox.save();
+        outbox.render.list();
+    },
+
+    'flush': function () {
+        var entries = outbox.entries;
+        if (!entries.length) {
+            return;
+        }
+        outbox.entries = [];
+        outbox.save();
+        outbox.render.list();
+        _.forEach(entries, function (entry) {
+            websocketclient.publish(entry.topic, entry.payload, entry.qos, entry.retain, entry.source);
+        });
+        notifications.success(i18n.t('outbox.flushed', [entries.length]));
+    },
+
+    'render': {
+
+        'list': function () {
+            var html = '';
+            _.forEach(outbox.entries, function (entry) {
+                html += '<li class="outboxLine">' +
+                    '   <a href="#" class="outboxCancel" onclick="outbox.cancel(' + entry.id + '); return false;">' + i18n.t('common.cancel') + '</a>' +
+                    '   <div class="outboxDate">' + i18n.formatDate(moment(entry.queued)) + ' - QoS ' + entry.qos + (entry.retain ? ' - retain' : '') + '</div>' +
+                    '   <div class="outboxTopic">' + Encoder.htmlEncode(entry.topic) + '</div>' +
+                    '   <div class="outboxPayload">' + Encoder.htmlEncode(entry.payload) + '</div>' +
+                    '</li>';
+            });
+            $('#outboxEdit').html(html || '<li class="outboxEmpty">' + i18n.t('outbox.empty') + '</li>');
+            $('#outboxBadge').text(outbox.entries.length || '').toggle(outbox.entries.length > 0);
+        }
+    }
+};
@@ -0,0 +1,213 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Shows message payloads in the log. JSON is pretty-printed with highlighted
+ * values and collapsible objects, payloads that are no valid text are kept as
+ * base64 and shown as hex dump or base64.
+ */
+var payloadviewer = {
+    // Objects shorter than this that hold no other objects stay on one line, like {"val":"1"}.
+    'inlineLength': 60,
+    'hexLimit': 1024,
+
+    'decode': function (message) {
+        var payload = null;
+        try {
+            payload = message.payloadString;
+        } catch (e) {
+        }
+
+        if (payload === null || /[\x00-\x08\x0E-\x1F]/.test(payload)) {
+            return {'payload': payloadviewer.toBase64(new Uint8Array(message.payloadBytes)), 'binary': true};
+        }
+        return {'payload': payload, 'binary': false};
+    },
+
+    'toBase64': function (bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    'fromBase64': function (base64) {
+        var binary = atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    'toHex': function (bytes) {
+        var lines = [];
+        var length = Math.min(bytes.length, payloadviewer.hexLimit);
+        for (var offset = 0; offset < length; offset += 16) {
+            var hex = '';
+            var ascii = '';
+            for (var i = offset; i < offset + 16; i++) {
+                if (i < length) {
+                    hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16) + ' ';
+                    ascii += bytes[i] >= 32 && bytes[i] < 127 ? String.fromCharCode(bytes[i]) : '.';
+                } else {
+                    hex += '   ';
+                }
+            }
+            lines.push(('0000' + offset.toString(16)).slice(-4) + '  ' + hex + ' ' + ascii);
+        }
+        if (bytes.length > length) {
+            lines.push('... ' + i18n.t('payload.moreBytes', [bytes.length - length]));
+        }
+        return lines.join('\n');
+    },
+
+    'parseJson': function (payload) {
+        var trimmed = $.trim(payload);
+        if (trimmed.charAt(0) !== '{' && trimmed.charAt(0) !== '[') {
+            return undefined;
+        }
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            return undefined;
+        }
+    },
+
+    'getMessage': function (id) {
+        return _.find(websocketclient.messages, {'id': id});
+    },
+
+    'toggle': function (id, path) {
+        var message = payloadviewer.getMessage(id);
+        if (!message) {
+            return;
+        }
+        message.collapsed = message.collapsed || {};
+        message.collapsed[path] = !message.collapsed[path];
+        message.height = undefined;
+        messagelist.render.rows();
+    },
+
+    'setView': function (id, view) {
+        var message = payloadviewer.getMessage(id);
+        if (!message) {
+            return;
+        }
+        message.view = view;
+        message.height = undefined;
+        messagelist.render.rows();
+    },
+
+    'copy': function (id, field, link) {
+        var message = payloadviewer.getMessage(id);
+        if (!message) {
+            return;
+        }
+        var text = field === 'topic' ? message.topic : message.payload;
+        var done = function () {
+            var label = $(link).text();
+            $(link).text(i18n.t('payload.copied'));
+            setTimeout(function () {
+                $(link).text(label);
+            }, 1000);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(done, function () {
+                payloadviewer.copyFallback(text) && done();
+            });
+        } else if (payloadviewer.copyFallback(text)) {
+            done();
+        }
+    },
+
+    'copyFallback': function (text) {
+        // Pages served without https have no clipboard API.
+        var area = $('<textarea class="copyArea"></textarea>').val(text).appendTo('body');
+        area[0].select();
+        var copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (e) {
+        }
+        area.remove();
+        if (!copied) {
+            websocketclient.render.showError(i18n.t('payload.copyFailed'));
+        }
+        return copied;
+    },
+
+    'render': {
+
+        'payload': function (message) {
+            if (message.binary) {
+                return payloadviewer.render.binary(message);
+            }
+
+            var json = payloadviewer.parseJson(message.payload);
+            if (json === undefined) {
+                return messagefilter.highlight(message.payload);
+            }
+            return '<div class="payloadJson">' + payloadviewer.render.value(json, message, '0', '') + '</div>';
+        },
+
+        'binary': function (message) {
+            var bytes = payloadviewer.fromBase64(message.payload);
+            var base64 = message.view === 'base64';
+            var id = messagelist.getId(message);
+            return '<div class="payloadBinary">' +
+                '   <span class="binaryInfo">' + i18n.t('payload.bytes', [bytes.length]) + '</span>' +
+                '   <a class="' + (base64 ? '' : 'active') + '" onclick="payloadviewer.setView(' + id + ', \'hex\'); return false;">Hex</a>' +
+                '   <a class="' + (base64 ? 'active' : '') + '" onclick="payloadviewer.setView(' + id + ', \'base64\'); return false;">Base64</a>' +
+                '   <pre>' + (base64 ? messagefilter.highlight(message.payload) : Encoder.htmlEncode(payloadviewer.toHex(bytes))) + '</pre>' +
+                '</div>';
+        },
+
+        'value': function (value, message, path, indent) {
+            if (value === null || typeof value !== 'object') {
+                var type = value === null ? 'null' : typeof value;
+                return '<span class="json' + type.charAt(0).toUpperCase() + type.substring(1) + '">' +
+                    messagefilter.highlight(JSON.stringify(value)) + '</span>';
+            }
+
+            var isArray = _.isArray(value);
+            var keys = isArray ? _.range(value.length) : _.keys(value);
+            var open = isArray ? '[' : '{';
+            var close = isArray ? ']' : '}';
+            var entries = _.map(keys, function (key, i) {
+                var entry = payloadviewer.render.value(value[key], message, path + '.' + i, indent + '  ');
+                return isArray ? entry : '<span class="jsonKey">' + messagefilter.highlight(JSON.stringify(String(key))) + '</span>: ' + entry;
+            });
+
+            var nested = _.some(keys, function (key) {
+                return value[key] !== null && typeof value[key] === 'object';
+            });
+            if (!nested && JSON.stringify(value).length <= payloadviewer.inlineLength) {
+                return open + entries.join(', ') + close;
+            }
+
+            var collapsed = message.collapsed && message.collapsed[path];
+            var toggle = '<a class="jsonToggle" onclick="payloadviewer.toggle(' + messagelist.getId(message) + ', \'' + path + '\'); return false;">' +
+                (collapsed ? '&#9656;' : '&#9662;') + '</a>';
+            if (collapsed) {
+                return toggle + open + '<span class="jsonSummary"> ' + i18n.t('payload.entries', [keys.length]) + ' </span>' + close;
+            }
+            return toggle + open + '\n' +
+                indent + '  ' + entries.join(',\n' + indent + '  ') + '\n' +
+                indent + close;
+        }
+    }
+};
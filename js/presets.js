@@ -0,0 +1,165 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Saved camera positions. The camera itself only knows preset numbers, the
+ * names and thumbnails are kept per camera in the local storage of the browser.
+ */
+var presetmanager = {
+    'storageKey': 'instarPresets',
+    'thumbnailWidth': 160,
+    'thumbnailHeight': 90,
+
+    'load': function () {
+        try {
+            return JSON.parse(localStorage.getItem(presetmanager.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    'save': function (stored) {
+        try {
+            localStorage.setItem(presetmanager.storageKey, JSON.stringify(stored));
+            return true;
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('preset.saveFailed', [e.message]));
+            return false;
+        }
+    },
+
+    'getPresets': function (cameraId) {
+        var stored = presetmanager.load()[cameraId] || {};
+        return _.map(_.range(1, mqtt_presets.count + 1), function (number) {
+            var preset = stored[number] || {};
+            return {
+                'number': number,
+                'name': preset.name || i18n.t('preset.defaultName', [number]),
+                'thumbnail': preset.thumbnail || null
+            };
+        });
+    },
+
+    'update': function (cameraId, number, changes) {
+        var stored = presetmanager.load();
+        var presets = stored[cameraId] = stored[cameraId] || {};
+        presets[number] = _.assign(presets[number] || {}, changes);
+        if (presetmanager.save(stored)) {
+            presetmanager.render.presets();
+        }
+    },
+
+    // Names and thumbnails belong to the selected camera, so presets never go out as a broadcast.
+    'send': function (topic, number) {
+        var camera = websocketclient.getCamera(websocketclient.selectedCamera);
+        if (!camera) {
+            websocketclient.render.showError(i18n.t('camera.none'));
+            return false;
+        }
+        return websocketclient.publish(websocketclient.getCameraTopic(camera, topic), String(number), mqtt_qos, false, '#presetResult' + number);
+    },
+
+    'goto': function (number) {
+        presetmanager.send(mqtt_presets.gotoTopic, number);
+    },
+
+    'set': function (number) {
+        var camera = websocketclient.getCamera(websocketclient.selectedCamera);
+        if (!camera) {
+            websocketclient.render.showError(i18n.t('camera.none'));
+            return;
+        }
+        var preset = presetmanager.getPresets(camera.id)[number - 1];
+        if (!confirm(i18n.t('preset.confirmSet', [preset.name, camera.name ? i18n.t(camera.name) : camera.id]))) {
+            return;
+        }
+        presetmanager.send(mqtt_presets.setTopic, number);
+    },
+
+    'rename': function (number) {
+        var preset = presetmanager.getPresets(websocketclient.selectedCamera)[number - 1];
+        var name = prompt(i18n.t('preset.promptName', [preset.name]), preset.name);
+        if (name === null) {
+            return;
+        }
+        presetmanager.update(websocketclient.selectedCamera, number, {'name': $.trim(name)});
+    },
+
+    'chooseThumbnail': function (number) {
+        $('#presetFile').data('preset', number).val('').click();
+    },
+
+    'setThumbnail': function (file) {
+        var number = $('#presetFile').data('preset');
+        var cameraId = websocketclient.selectedCamera;
+        if (!file || !/^image\//.test(file.type)) {
+            return;
+        }
+
+        // Scale the picture down so it fits many times into the storage quota.
+        var reader = new FileReader();
+        reader.onload = function () {
+            var image = new Image();
+            image.onload = function () {
+                var canvas = document.createElement('canvas');
+                canvas.width = presetmanager.thumbnailWidth;
+                canvas.height = presetmanager.thumbnailHeight;
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                presetmanager.update(cameraId, number, {'thumbnail': canvas.toDataURL('image/jpeg', 0.7)});
+            };
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    },
+
+    'removeThumbnail': function (number) {
+        presetmanager.update(websocketclient.selectedCamera, number, {'thumbnail': null});
+    },
+
+    'render': {
+
+        'presets': function () {
+            var html = '<form class="columns custom">' +
+                '   <h3>' + i18n.t('preset.title') + '</h3>' +
+                '   <hr />' +
+                '   <div class="flex presets">';
+            _.forEach(presetmanager.getPresets(websocketclient.selectedCamera), function (preset) {
+                html += presetmanager.render.preset(preset);
+            });
+            html += '   </div>' +
+                '   <input type="file" id="presetFile" accept="image/*" onchange="presetmanager.setThumbnail(this.files[0]);">' +
+                '</form>';
+            $('#presetsMain').html(html);
+        },
+
+        'preset': function (preset) {
+            var number = preset.number;
+            var thumbnail = preset.thumbnail ?
+                '<img src="' + preset.thumbnail + '" alt="">' :
+                '<span class="presetNumber">' + number + '</span>';
+
+            return '<div class="preset">' +
+                '   <a class="presetThumbnail" title="' + i18n.t('preset.goto') + '" onclick="presetmanager.goto(' + number + '); return false;">' + thumbnail + '</a>' +
+                '   <a class="small button" onclick="presetmanager.goto(' + number + '); return false;">' + Encoder.htmlEncode(preset.name) +
+                '<span class="commandResult" id="presetResult' + number + '"></span></a>' +
+                '   <div class="presetActions">' +
+                '       <a onclick="presetmanager.set(' + number + '); return false;" title="' + i18n.t('preset.setTitle') + '">' + i18n.t('preset.set') + '</a>' +
+                '       <a onclick="presetmanager.rename(' + number + '); return false;" title="' + i18n.t('preset.renameTitle') + '">' + i18n.t('preset.rename') + '</a>' +
+                '       <a onclick="presetmanager.chooseThumbnail(' + number + '); return false;" title="' + i18n.t('preset.thumbnailTitle') + '">' + i18n.t('preset.thumbnail') + '</a>' +
+                (preset.thumbnail ? '       <a onclick="presetmanager.removeThumbnail(' + number + '); return false;" title="' + i18n.t('preset.removeThumbnail') + '">&times;</a>' : '') +
+                '   </div>' +
+                '</div>';
+        }
+    }
+};
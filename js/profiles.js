@@ -0,0 +1,260 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Named connection profiles. A profile holds everything the "Verbindung"
+ * form asks for plus the subscriptions that are made when connecting to its
+ * broker for the first time. Profiles are kept in the local storage of the
+ * browser and can be shared as JSON file.
+ */
+var profilemanager = {
+    'storageKey': 'instarProfiles',
+
+    'load': function () {
+        try {
+            return JSON.parse(localStorage.getItem(profilemanager.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    'save': function (profiles) {
+        try {
+            localStorage.setItem(profilemanager.storageKey, JSON.stringify(profiles));
+            return true;
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('profile.saveFailed', [e.message]));
+            return false;
+        }
+    },
+
+    'find': function (name) {
+        return _.find(profilemanager.load(), {'name': name});
+    },
+
+    'findByBroker': function (broker) {
+        return _.find(profilemanager.load(), function (profile) {
+            return profile.host + ':' + profile.port === broker;
+        });
+    },
+
+    'read': function () {
+        return {
+            'host': $('#urlInput').val(),
+            'port': parseInt($('#portInput').val(), 10),
+            'ssl': $('#sslInput').is(':checked'),
+            'username': $('#userInput').val(),
+            'password': $('#pwInput').val(),
+            'keepAlive': parseInt($('#keepAliveInput').val(), 10),
+            'cleanSession': $('#cleanSessionInput').is(':checked'),
+            'protocolVersion': parseInt($('#protocolVersionInput').val(), 10),
+            'reconnect': $('#reconnectInput').is(':checked'),
+            'lwTopic': $('#lwTopicInput').val(),
+            'lwQos': parseInt($('#lwQosInput').val(), 10),
+            'lwRetain': $('#LWRInput').is(':checked'),
+            'lwMessage': $('#LWMInput').val()
+        };
+    },
+
+    'apply': function (name) {
+        var profile = profilemanager.find(name);
+        if (!profile) {
+            return false;
+        }
+
+        $('#profileName').val(profile.name);
+        $('#urlInput').val(profile.host);
+        $('#portInput').val(profile.port);
+        $('#sslInput').prop('checked', !!profile.ssl);
+        $('#userInput').val(profile.username || '');
+        $('#pwInput').val(profile.password || '');
+        $('#keepAliveInput').val(profile.keepAlive || 60);
+        $('#cleanSessionInput').prop('checked', profile.cleanSession !== undefined ? !!profile.cleanSession : mqtt_clean_session);
+        $('#protocolVersionInput').val(profile.protocolVersion || mqtt_protocol_version);
+        $('#reconnectInput').prop('checked', !!profile.reconnect);
+        $('#lwTopicInput').val(profile.lwTopic || '');
+        $('#lwQosInput').val(profile.lwQos || 0);
+        $('#LWRInput').prop('checked', !!profile.lwRetain);
+        $('#LWMInput').val(profile.lwMessage || '');
+        return true;
+    },
+
+    'store': function (name) {
+        name = $.trim(name);
+        if (name.length < 1) {
+            websocketclient.render.showError(i18n.t('profile.noName'));
+            return false;
+        }
+
+        var profiles = profilemanager.load();
+        var existing = _.find(profiles, {'name': name});
+        var profile = _.assign({'name': name}, profilemanager.read());
+        if (isNaN(profile.port)) {
+            websocketclient.render.showError(i18n.t('profile.invalidPort'));
+            return false;
+        }
+
+        // The subscriptions of the running session become the defaults, otherwise the saved ones are kept.
+        if (websocketclient.subscriptions.length) {
+            profile.subscriptions = _.map(websocketclient.subscriptions, function (subscription) {
+                return _.pick(subscription, 'topic', 'qos', 'color');
+            });
+        } else {
+            profile.subscriptions = existing ? existing.subscriptions || [] : [];
+        }
+
+        profiles = _.reject(profiles, {'name': name});
+        profiles.push(profile);
+        return profilemanager.save(_.sortBy(profiles, 'name'));
+    },
+
+    'remove': function (name) {
+        if (!profilemanager.find(name)) {
+            websocketclient.render.showError(i18n.t('profile.unknown', [name]));
+            return false;
+        }
+        if (!confirm(i18n.t('profile.confirmDelete', [name]))) {
+            return false;
+        }
+        $('#profileName').val('');
+        return profilemanager.save(_.reject(profilemanager.load(), {'name': name}));
+    },
+
+    'getSubscriptions': function (broker) {
+        var profile = profilemanager.findByBroker(broker);
+        return profile ? profile.subscriptions || [] : [];
+    },
+
+    'suggest': function (term) {
+        var matcher = new RegExp($.ui.autocomplete.escapeRegex(term), 'i');
+        var suggestions = _.map(profilemanager.load(), function (profile) {
+            return {
+                'label': profile.name + ' (' + profile.host + ':' + profile.port + ')',
+                'value': profile.host,
+                'profile': profile.name
+            };
+        });
+
+        // Brokers from config.js are offered as well, they only fill in the host.
+        var hosts = _.uniq([mqtt_broker].concat(_.compact(_.pluck(mqtt_cameras, 'broker'))));
+        _.forEach(hosts, function (host) {
+            suggestions.push({'label': host, 'value': host});
+        });
+
+        return _.filter(suggestions, function (suggestion) {
+            return matcher.test(suggestion.label);
+        });
+    },
+
+    'bind': function () {
+        var $input = $('#urlInput');
+
+        $input.autocomplete({
+            'minLength': 0,
+            'source': function (request, response) {
+                response(profilemanager.suggest(request.term));
+            },
+            'select': function (event, ui) {
+                if (ui.item.profile) {
+                    profilemanager.apply(ui.item.profile);
+                    return false;
+                }
+            }
+        });
+
+        $input.addClass("ui-widget ui-widget-content ui-corner-left");
+
+        $("<button type='button'>&nbsp;</button>")
+            .attr("tabIndex", -1)
+            .attr("title", i18n.t('profile.showAll'))
+            .insertAfter($input)
+            .button({
+                icons: {
+                    primary: "ui-icon-triangle-1-s"
+                },
+                text: false
+            })
+            .removeClass("ui-corner-all")
+            .addClass("ui-corner-right ui-button-icon")
+            .click(function () {
+                // close if already visible
+                if ($input.autocomplete("widget").is(":visible")) {
+                    $input.autocomplete("close");
+                    return;
+                }
+                $(this).blur();
+                $input.autocomplete("search", "");
+                $input.focus();
+            });
+    },
+
+    'export': function () {
+        var profiles = profilemanager.load();
+        if (!profiles.length) {
+            websocketclient.render.showError(i18n.t('profile.empty'));
+            return false;
+        }
+        var filename = 'mqtt-profile-' + moment().format('YYYY-MM-DD-HHmmss') + '.json';
+        websocketclient.download(JSON.stringify(profiles, null, 2), filename, 'application/json');
+        return true;
+    },
+
+    'validate': function (profile) {
+        if (!_.isObject(profile) || typeof profile.name !== 'string' || !profile.name.length ||
+            typeof profile.host !== 'string' || isNaN(parseInt(profile.port, 10))) {
+            throw new Error(i18n.t('profile.invalid', [JSON.stringify(profile)]));
+        }
+        profile.port = parseInt(profile.port, 10);
+        profile.subscriptions = _.map(_.filter(profile.subscriptions || [], function (subscription) {
+            return _.isObject(subscription) && typeof subscription.topic === 'string' && subscription.topic.length > 0;
+        }), function (subscription) {
+            return {
+                'topic': subscription.topic,
+                'qos': parseInt(subscription.qos, 10) || 0,
+                'color': typeof subscription.color === 'string' ? subscription.color : ''
+            };
+        });
+        return profile;
+    },
+
+    'import': function (file) {
+        if (!file) {
+            return;
+        }
+
+        var reader = new FileReader();
+        reader.onload = function () {
+            var imported;
+            try {
+                imported = JSON.parse(reader.result);
+                imported = _.map(_.isArray(imported) ? imported : [imported], profilemanager.validate);
+            } catch (e) {
+                websocketclient.render.showError(i18n.t('log.readFailed', [file.name, e.message]));
+                return;
+            }
+
+            // Imported profiles replace saved profiles with the same name.
+            var names = _.pluck(imported, 'name');
+            var profiles = _.reject(profilemanager.load(), function (profile) {
+                return _.contains(names, profile.name);
+            });
+            profilemanager.save(_.sortBy(profiles.concat(imported), 'name'));
+        };
+        reader.readAsText(file);
+    },
+
+    'chooseFile': function () {
+        $('#profileFile').val('').click();
+    }
+};
@@ -0,0 +1,253 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Pan, tilt and zoom control. The camera keeps moving in the direction it was
+ * sent until it receives a stop, so a direction is only published when it
+ * changes and never more often than once per mqtt_ptz.interval.
+ */
+var ptzcontrol = {
+    'direction': null,
+    'wanted': null,
+    'zooming': null,
+    'lastSent': 0,
+    'timer': null,
+    'keys': {},
+    'dragging': false,
+
+    // Compass sectors of the joystick, counter-clockwise starting at "right".
+    'sectors': ['right', 'upright', 'up', 'upleft', 'left', 'downleft', 'down', 'downright'],
+
+    'keyCodes': {
+        37: 'left',
+        38: 'up',
+        39: 'right',
+        40: 'down'
+    },
+
+    'move': function (direction) {
+        ptzcontrol.wanted = direction;
+        ptzcontrol.flush();
+    },
+
+    // The stop button passes always: the camera may be moving without this page knowing,
+    // after a reload, a move from another client or a lost stop. Releasing a key or the
+    // joystick only stops a move that was sent from here.
+    'stop': function (always) {
+        ptzcontrol.wanted = null;
+        clearTimeout(ptzcontrol.timer);
+        ptzcontrol.timer = null;
+        if ((always || ptzcontrol.direction !== null) && ptzcontrol.send(mqtt_ptz.moveTopic, mqtt_ptz.moves.stop)) {
+            ptzcontrol.direction = null;
+        }
+    },
+
+    'flush': function () {
+        if (ptzcontrol.wanted === ptzcontrol.direction || ptzcontrol.timer) {
+            return;
+        }
+
+        var wait = ptzcontrol.lastSent + mqtt_ptz.interval - new Date().getTime();
+        if (wait > 0) {
+            ptzcontrol.timer = setTimeout(function () {
+                ptzcontrol.timer = null;
+                ptzcontrol.flush();
+            }, wait);
+            return;
+        }
+
+        var payload = ptzcontrol.wanted === null ? mqtt_ptz.moves.stop : mqtt_ptz.moves[ptzcontrol.wanted];
+        if (ptzcontrol.send(mqtt_ptz.moveTopic, payload)) {
+            ptzcontrol.direction = ptzcontrol.wanted;
+        } else {
+            ptzcontrol.wanted = ptzcontrol.direction;
+        }
+    },
+
+    'zoom': function (direction) {
+        if (ptzcontrol.zooming === direction) {
+            return;
+        }
+        var payload = direction === null ? mqtt_ptz.zoom.stop : mqtt_ptz.zoom[direction];
+        if (ptzcontrol.send(mqtt_ptz.zoomTopic, payload)) {
+            ptzcontrol.zooming = direction;
+        }
+    },
+
+    'send': function (topic, payload) {
+        ptzcontrol.lastSent = new Date().getTime();
+        // A move that is sent after the connection is back would surprise whoever is watching the camera then.
+        return websocketclient.publishToCameras(topic, payload, mqtt_qos, false, undefined, true) !== false;
+    },
+
+    'getKeyDirection': function () {
+        var vertical = ptzcontrol.keys.up ? 'up' : (ptzcontrol.keys.down ? 'down' : '');
+        var horizontal = ptzcontrol.keys.left ? 'left' : (ptzcontrol.keys.right ? 'right' : '');
+        return (vertical + horizontal) || null;
+    },
+
+    'getJoystickDirection': function (dx, dy, radius) {
+        // The inner third of the joystick is a dead zone that means "stop".
+        if (Math.sqrt(dx * dx + dy * dy) < radius / 3) {
+            return null;
+        }
+        var sector = Math.round(Math.atan2(-dy, dx) / (Math.PI / 4));
+        return ptzcontrol.sectors[(sector + 8) % 8];
+    },
+
+    'onKeyDown': function (e) {
+        if (!websocketclient.connected || $(e.target).is('input, textarea, select')) {
+            return;
+        }
+
+        if (ptzcontrol.keyCodes[e.which]) {
+            e.preventDefault();
+            ptzcontrol.keys[ptzcontrol.keyCodes[e.which]] = true;
+            ptzcontrol.move(ptzcontrol.getKeyDirection());
+        } else if (e.which === 107 || e.which === 187) {
+            ptzcontrol.zoom('in');
+        } else if (e.which === 109 || e.which === 189) {
+            ptzcontrol.zoom('out');
+        }
+    },
+
+    'onKeyUp': function (e) {
+        if (ptzcontrol.keyCodes[e.which]) {
+            delete ptzcontrol.keys[ptzcontrol.keyCodes[e.which]];
+            var direction = ptzcontrol.getKeyDirection();
+            if (direction) {
+                ptzcontrol.move(direction);
+            } else {
+                ptzcontrol.stop();
+            }
+        } else if (_.contains([107, 187, 109, 189], e.which)) {
+            ptzcontrol.zoom(null);
+        }
+    },
+
+    // Without focus the keyup or mouseup that ends a move never arrives, so everything stops right away.
+    'onBlur': function () {
+        ptzcontrol.keys = {};
+        ptzcontrol.dragging = false;
+        if (ptzcontrol.wanted !== null || ptzcontrol.direction !== null) {
+            ptzcontrol.stop();
+        }
+        if (ptzcontrol.zooming !== null) {
+            ptzcontrol.zoom(null);
+        }
+    },
+
+    'onJoystickMove': function (e) {
+        if (!ptzcontrol.dragging) {
+            return;
+        }
+        e.preventDefault();
+
+        var joystick = $('#ptzJoystick');
+        var point = e.originalEvent.touches ? e.originalEvent.touches[0] : e;
+        var radius = joystick.width() / 2;
+        var dx = point.pageX - joystick.offset().left - radius;
+        var dy = point.pageY - joystick.offset().top - radius;
+
+        // Keep the knob inside the joystick ring.
+        var distance = Math.sqrt(dx * dx + dy * dy);
+        var scale = distance > radius ? radius / distance : 1;
+        $('#ptzKnob').css({'left': radius + dx * scale, 'top': radius + dy * scale});
+
+        ptzcontrol.move(ptzcontrol.getJoystickDirection(dx, dy, radius));
+    },
+
+    'onJoystickRelease': function () {
+        if (!ptzcontrol.dragging) {
+            return;
+        }
+        ptzcontrol.dragging = false;
+        $('#ptzKnob').css({'left': '', 'top': ''});
+        ptzcontrol.stop();
+    },
+
+    'bind': function () {
+        var panel = $('#ptzMain');
+
+        panel.on('mousedown touchstart', '[data-move]', function (e) {
+            e.preventDefault();
+            ptzcontrol.move($(this).data('move'));
+        });
+        panel.on('mouseup mouseleave touchend touchcancel', '[data-move]', function () {
+            if (ptzcontrol.wanted !== null || ptzcontrol.direction !== null) {
+                ptzcontrol.stop();
+            }
+        });
+
+        panel.on('mousedown touchstart', '[data-zoom]', function (e) {
+            e.preventDefault();
+            ptzcontrol.zoom($(this).data('zoom'));
+        });
+        panel.on('mouseup mouseleave touchend touchcancel', '[data-zoom]', function () {
+            if (ptzcontrol.zooming !== null) {
+                ptzcontrol.zoom(null);
+            }
+        });
+
+        panel.on('mousedown touchstart', '#ptzJoystick', function (e) {
+            ptzcontrol.dragging = true;
+            ptzcontrol.onJoystickMove(e);
+        });
+        $(document).on('mousemove touchmove', ptzcontrol.onJoystickMove);
+        $(document).on('mouseup touchend touchcancel', ptzcontrol.onJoystickRelease);
+
+        $(document).on('keydown', ptzcontrol.onKeyDown);
+        $(document).on('keyup', ptzcontrol.onKeyUp);
+        $(window).on('blur', ptzcontrol.onBlur);
+        $(document).on('visibilitychange', function () {
+            if (document.hidden) {
+                ptzcontrol.onBlur();
+            }
+        });
+    },
+
+    'render': {
+
+        'panel': function () {
+            var pad = [
+                ['upleft', '&#8598;'], ['up', '&#8593;'], ['upright', '&#8599;'],
+                ['left', '&#8592;'], ['stop', '&#9632;'], ['right', '&#8594;'],
+                ['downleft', '&#8601;'], ['down', '&#8595;'], ['downright', '&#8600;']
+            ];
+
+            var html = '<form class="columns custom">' +
+                '   <h3>' + i18n.t('ptz.title') + '</h3>' +
+                '   <hr />' +
+                '   <div class="flex ptz">' +
+                '       <div class="ptzPad">';
+            _.forEach(pad, function (entry) {
+                if (entry[0] === 'stop') {
+                    html += '<a class="small button" onclick="ptzcontrol.stop(true); return false;">' + entry[1] + '</a>';
+                } else {
+                    html += '<a class="small button" data-move="' + entry[0] + '">' + entry[1] + '</a>';
+                }
+            });
+            html += '       </div>' +
+                '       <div id="ptzJoystick"><div id="ptzKnob"></div></div>' +
+                '       <div class="ptzZoom">' +
+                '           <a class="small button" data-zoom="in">' + i18n.t('ptz.zoomIn') + '</a>' +
+                '           <a class="small button" data-zoom="out">' + i18n.t('ptz.zoomOut') + '</a>' +
+                '       </div>' +
+                '   </div>' +
+                '   <p class="ptzHint">' + i18n.t('ptz.hint') + '</p>' +
+                '</form>';
+            $('#ptzMain').html(html);
+        }
+    }
+};
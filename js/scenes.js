@@ -0,0 +1,324 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Scenes are ordered lists of steps that run with a single click. A step
+ * either publishes a payload, pauses for a number of seconds or waits until
+ * the cameras report a status value. The scenes from mqtt_scenes can be
+ * edited in the browser, edited scenes are kept in the local storage.
+ */
+var scenemanager = {
+    'storageKey': 'instarScenes',
+    'scenes': [],
+    'running': null,
+    'editing': null,
+    'pollInterval': 200,
+
+    'init': function () {
+        var stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(scenemanager.storageKey));
+        } catch (e) {
+        }
+        scenemanager.scenes = stored || _.cloneDeep(mqtt_scenes);
+        scenemanager.render.scenes();
+    },
+
+    'save': function () {
+        try {
+            localStorage.setItem(scenemanager.storageKey, JSON.stringify(scenemanager.scenes));
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('scene.saveFailed', [e.message]));
+        }
+    },
+
+    'getStepType': function (step) {
+        if (step.delay !== undefined) {
+            return 'delay';
+        }
+        return step.wait !== undefined ? 'wait' : 'publish';
+    },
+
+    'play': function (index) {
+        if (scenemanager.running) {
+            websocketclient.render.showError(i18n.t('scene.running', [i18n.t(scenemanager.running.scene.name)]));
+            return false;
+        }
+        if (!websocketclient.connected) {
+            websocketclient.render.showError(i18n.t('connection.none'));
+            return false;
+        }
+        if (!websocketclient.getTargetCameras().length) {
+            websocketclient.render.showError(i18n.t('camera.none'));
+            return false;
+        }
+
+        // The cameras are fixed when the scene starts, switching the selector does not affect a running scene.
+        scenemanager.running = {
+            'index': index,
+            'scene': scenemanager.scenes[index],
+            'cameras': websocketclient.getTargetCameras(),
+            'step': 0,
+            'timer': null
+        };
+        scenemanager.render.result(index, 'pending');
+        scenemanager.next();
+        return true;
+    },
+
+    'next': function () {
+        var running = scenemanager.running;
+        if (!running) {
+            return;
+        }
+        if (running.step >= running.scene.steps.length) {
+            scenemanager.finish('success');
+            return;
+        }
+
+        var step = running.scene.steps[running.step++];
+        scenemanager.render.progress();
+
+        switch (scenemanager.getStepType(step)) {
+            case 'delay':
+                running.timer = setTimeout(scenemanager.next, parseFloat(step.delay) * 1000);
+                break;
+
+            case 'wait':
+                scenemanager.waitForStatus(step, new Date().getTime() + (parseFloat(step.timeout) || mqtt_command_timeout) * 1000);
+                break;
+
+            default:
+                for (var i = 0; i < running.cameras.length; i++) {
+                    var topic = websocketclient.getCameraTopic(running.cameras[i], step.topic);
+                    // The steps of a scene depend on each other's timing, so they are not queued while offline.
+                    if (websocketclient.publish(topic, step.payload, mqtt_qos, mqtt_retain, undefined, true) === false) {
+                        scenemanager.finish('timeout', i18n.t('scene.sendFailed', [running.step]));
+                        return;
+                    }
+                }
+                scenemanager.next();
+        }
+    },
+
+    'waitForStatus': function (step, deadline) {
+        var running = scenemanager.running;
+        var reached = _.every(running.cameras, function (camera) {
+            var state = websocketclient.states[websocketclient.getStateKey(camera, step.wait)];
+            return state && state.value === String(step.value);
+        });
+
+        if (reached) {
+            scenemanager.next();
+        } else if (new Date().getTime() >= deadline) {
+            scenemanager.finish('timeout', i18n.t('scene.waitFailed', [step.wait, step.value]));
+        } else {
+            running.timer = setTimeout(function () {
+                scenemanager.waitForStatus(step, deadline);
+            }, scenemanager.pollInterval);
+        }
+    },
+
+    'abort': function () {
+        if (scenemanager.running) {
+            scenemanager.finish('', i18n.t('scene.aborted'));
+        }
+    },
+
+    'finish': function (result, text) {
+        var running = scenemanager.running;
+        clearTimeout(running.timer);
+        scenemanager.running = null;
+        scenemanager.render.result(running.index, result);
+        scenemanager.render.progress(text || (result === 'success' ? i18n.t('scene.done', [i18n.t(running.scene.name)]) : ''));
+    },
+
+    'edit': function (index) {
+        var scene = index === null ? {'name': i18n.t('scene.newName'), 'steps': []} : scenemanager.scenes[index];
+        scenemanager.editing = {'index': index, 'scene': _.cloneDeep(scene)};
+        scenemanager.render.editor();
+    },
+
+    'addStep': function () {
+        scenemanager.editing.scene.steps.push({'topic': '', 'payload': ''});
+        scenemanager.render.editor();
+    },
+
+    'setStepType': function (i, type) {
+        var steps = scenemanager.editing.scene.steps;
+        if (type === 'delay') {
+            steps[i] = {'delay': 1};
+        } else if (type === 'wait') {
+            steps[i] = {'wait': '', 'value': '', 'timeout': mqtt_command_timeout};
+        } else {
+            steps[i] = {'topic': '', 'payload': ''};
+        }
+        scenemanager.render.editor();
+    },
+
+    'updateStep': function (i, field, value) {
+        scenemanager.editing.scene.steps[i][field] = value;
+    },
+
+    'moveStep': function (i, offset) {
+        var steps = scenemanager.editing.scene.steps;
+        if (i + offset < 0 || i + offset >= steps.length) {
+            return;
+        }
+        steps.splice(i + offset, 0, steps.splice(i, 1)[0]);
+        scenemanager.render.editor();
+    },
+
+    'removeStep': function (i) {
+        scenemanager.editing.scene.steps.splice(i, 1);
+        scenemanager.render.editor();
+    },
+
+    'saveEdit': function (name) {
+        var editing = scenemanager.editing;
+        editing.scene.name = $.trim(name) || i18n.t('scene.defaultName');
+        if (editing.index === null) {
+            scenemanager.scenes.push(editing.scene);
+        } else {
+            scenemanager.scenes[editing.index] = editing.scene;
+        }
+        scenemanager.closeEdit();
+        scenemanager.save();
+        scenemanager.render.scenes();
+    },
+
+    'deleteEdit': function () {
+        var editing = scenemanager.editing;
+        if (editing.index !== null && confirm(i18n.t('scene.confirmDelete', [i18n.t(editing.scene.name)]))) {
+            scenemanager.scenes.splice(editing.index, 1);
+            scenemanager.save();
+            scenemanager.render.scenes();
+        }
+        scenemanager.closeEdit();
+    },
+
+    'closeEdit': function () {
+        scenemanager.editing = null;
+        scenemanager.render.editor();
+    },
+
+    'export': function () {
+        // The file can be copied into config.js as the mqtt_scenes list.
+        websocketclient.download(JSON.stringify(scenemanager.scenes, null, 4), 'scenes.json', 'application/json');
+    },
+
+    'render': {
+
+        'scenes': function () {
+            var html = '<form class="columns custom">' +
+                '   <h3>' + i18n.t('scene.title') + '</h3>' +
+                '   <hr />' +
+                '   <div class="flex scenes">';
+            _.forEach(scenemanager.scenes, function (scene, index) {
+                html += '<div class="scene">' +
+                    '   <a class="small button" onclick="scenemanager.play(' + index + '); return false;" title="' + i18n.t('scene.steps', [scene.steps.length]) + '">' +
+                    Encoder.htmlEncode(i18n.t(scene.name)) + '<span class="commandResult" id="sceneResult' + index + '"></span></a>' +
+                    '   <a class="sceneEdit" onclick="scenemanager.edit(' + index + '); return false;">' + i18n.t('scene.edit') + '</a>' +
+                    '</div>';
+            });
+            html += '   </div>' +
+                '   <div class="sceneControls">' +
+                '       <a class="small button secondary" id="sceneAbort" onclick="scenemanager.abort(); return false;">' + i18n.t('scene.abort') + '</a>' +
+                '       <span id="sceneProgress"></span>' +
+                '       <a class="sceneEdit" onclick="scenemanager.edit(null); return false;">' + i18n.t('scene.new') + '</a>' +
+                '       <a class="sceneEdit" onclick="scenemanager.export(); return false;">' + i18n.t('scene.export') + '</a>' +
+                '   </div>' +
+                '   <div id="sceneEditor"></div>' +
+                '</form>';
+            $('#scenesMain').html(html);
+            scenemanager.render.progress('');
+            scenemanager.render.editor();
+        },
+
+        'result': function (index, result) {
+            $('#sceneResult' + index).attr('class', 'commandResult ' + result);
+        },
+
+        'progress': function (text) {
+            var running = scenemanager.running;
+            if (running) {
+                text = i18n.t('scene.progress', [i18n.t(running.scene.name), running.step, running.scene.steps.length]);
+            }
+            $('#sceneAbort').toggle(!!running);
+            $('#sceneProgress').text(text || '');
+        },
+
+        'editor': function () {
+            var editing = scenemanager.editing;
+            if (!editing) {
+                $('#sceneEditor').empty();
+                return;
+            }
+
+            var html = '<div class="row">' +
+                '   <div class="large-12 columns">' +
+                '       <label>' + i18n.t('scene.name') + '</label>' +
+                '       <input id="sceneName" type="text" value="' + Encoder.htmlEncode(editing.scene.name, 0) + '">' +
+                '   </div>' +
+                '</div>' +
+                '<ul class="disc" id="sceneSteps">';
+            _.forEach(editing.scene.steps, function (step, i) {
+                html += scenemanager.render.step(step, i);
+            });
+            html += '</ul>' +
+                '<a class="small button secondary" onclick="scenemanager.addStep(); return false;">' + i18n.t('scene.addStep') + '</a> ' +
+                '<a class="small button" onclick="scenemanager.saveEdit($(\'#sceneName\').val()); return false;">' + i18n.t('common.save') + '</a> ' +
+                '<a class="sceneEdit" onclick="scenemanager.closeEdit(); return false;">' + i18n.t('scene.discard') + '</a>' +
+                (editing.index !== null ? '<a class="sceneEdit" onclick="scenemanager.deleteEdit(); return false;">' + i18n.t('scene.delete') + '</a>' : '');
+            $('#sceneEditor').html(html);
+        },
+
+        'step': function (step, i) {
+            var type = scenemanager.getStepType(step);
+            var types = {'publish': i18n.t('scene.publish'), 'delay': i18n.t('scene.delay'), 'wait': i18n.t('scene.wait')};
+
+            var html = '<li class="sceneStep row">' +
+                '   <div class="large-3 columns"><select onchange="scenemanager.setStepType(' + i + ', this.value);">';
+            _.forEach(types, function (label, value) {
+                html += '<option value="' + value + '"' + (value === type ? ' selected' : '') + '>' + label + '</option>';
+            });
+            html += '</select></div>';
+
+            if (type === 'delay') {
+                html += scenemanager.render.stepInput(i, 'delay', step.delay, i18n.t('scene.seconds'), 7);
+            } else if (type === 'wait') {
+                html += scenemanager.render.stepInput(i, 'wait', step.wait, i18n.t('scene.statusTopic'), 3) +
+                    scenemanager.render.stepInput(i, 'value', step.value, i18n.t('scene.value'), 2) +
+                    scenemanager.render.stepInput(i, 'timeout', step.timeout, i18n.t('scene.timeout'), 2);
+            } else {
+                html += scenemanager.render.stepInput(i, 'topic', step.topic, 'Topic', 5) +
+                    scenemanager.render.stepInput(i, 'payload', step.payload, 'Payload', 2);
+            }
+
+            return html + '   <div class="large-2 columns stepActions">' +
+                '       <a onclick="scenemanager.moveStep(' + i + ', -1); return false;" title="' + i18n.t('scene.moveUp') + '">&#8593;</a>' +
+                '       <a onclick="scenemanager.moveStep(' + i + ', 1); return false;" title="' + i18n.t('scene.moveDown') + '">&#8595;</a>' +
+                '       <a onclick="scenemanager.removeStep(' + i + '); return false;" title="' + i18n.t('scene.removeStep') + '">x</a>' +
+                '   </div>' +
+                '</li>';
+        },
+
+        'stepInput': function (i, field, value, placeholder, width) {
+            return '<div class="large-' + width + ' columns">' +
+                '<input type="text" placeholder="' + placeholder + '" value="' + Encoder.htmlEncode(value === undefined ? '' : String(value), 0) + '"' +
+                ' onchange="scenemanager.updateStep(' + i + ', \'' + field + '\', this.value);">' +
+                '</div>';
+        }
+    }
+};
@@ -0,0 +1,360 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Sends commands at fixed times while the page stays open. A schedule either
+ * repeats on a cron rule, runs once at a given time or runs right away, and
+ * can send a second payload after a number of minutes to revert the command.
+ * Schedules are kept in the local storage of the browser.
+ */
+var scheduler = {
+    'storageKey': 'instarSchedules',
+    'lastScheduleId': 1,
+    'schedules': [],
+    'timer': null,
+
+    // Field ranges of a cron rule: minute, hour, day of month, month, day of week.
+    'cronFields': [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]],
+
+    'init': function () {
+        try {
+            scheduler.schedules = JSON.parse(localStorage.getItem(scheduler.storageKey)) || [];
+        } catch (e) {
+            scheduler.schedules = [];
+        }
+
+        var now = new Date().getTime();
+        _.forEach(scheduler.schedules, function (schedule) {
+            scheduler.lastScheduleId = Math.max(scheduler.lastScheduleId, schedule.id + 1);
+            if (schedule.type === 'cron') {
+                schedule.next = schedule.enabled ? scheduler.getNextCronRun(scheduler.parseCron(schedule.cron), now) : null;
+            } else if (schedule.next && schedule.next < now) {
+                // The page was closed when this one-shot was due.
+                schedule.next = null;
+                schedule.result = 'missed';
+            }
+        });
+        scheduler.save();
+        scheduler.render.schedules();
+
+        scheduler.timer = setInterval(scheduler.tick, 1000);
+    },
+
+    'save': function () {
+        try {
+            localStorage.setItem(scheduler.storageKey, JSON.stringify(scheduler.schedules));
+        } catch (e) {
+            websocketclient.render.showError(i18n.t('schedule.saveFailed', [e.message]));
+        }
+    },
+
+    'add': function (type, topic, payload, when, duration, revert) {
+        var now = new Date().getTime();
+        var schedule = {
+            'id': scheduler.lastScheduleId++,
+            'type': type,
+            'topic': topic,
+            'payload': payload,
+            'duration': parseInt(duration, 10) || 0,
+            'revert': revert,
+            'camera': websocketclient.broadcast ? '*' : websocketclient.selectedCamera,
+            'enabled': true,
+            'next': null,
+            'revertAt': null,
+            'result': null
+        };
+
+        if (!topic) {
+            websocketclient.render.showError(i18n.t('schedule.noTopic'));
+            return false;
+        }
+        if (schedule.duration > 0 && revert === '') {
+            websocketclient.render.showError(i18n.t('schedule.noRevert'));
+            return false;
+        }
+
+        if (type === 'cron') {
+            var cron = scheduler.parseCron(when);
+            if (!cron) {
+                websocketclient.render.showError(i18n.t('schedule.invalidCron', [when]));
+                return false;
+            }
+            schedule.cron = $.trim(when);
+            schedule.next = scheduler.getNextCronRun(cron, now);
+        } else if (type === 'once') {
+            var at = moment(when, 'YYYY-MM-DD HH:mm');
+            if (!at.isValid() || at.valueOf() <= now) {
+                websocketclient.render.showError(i18n.t('schedule.invalidDate'));
+                return false;
+            }
+            schedule.next = at.valueOf();
+        } else {
+            if (schedule.duration <= 0) {
+                websocketclient.render.showError(i18n.t('schedule.noDuration'));
+                return false;
+            }
+            if (!websocketclient.connected) {
+                websocketclient.render.showError(i18n.t('connection.none'));
+                return false;
+            }
+            schedule.next = now;
+        }
+
+        scheduler.schedules.push(schedule);
+        scheduler.tick();
+        scheduler.save();
+        scheduler.render.schedules();
+        return schedule;
+    },
+
+    'remove': function (id) {
+        scheduler.schedules = _.reject(scheduler.schedules, {'id': id});
+        scheduler.save();
+        scheduler.render.schedules();
+    },
+
+    'toggle': function (id) {
+        var schedule = _.find(scheduler.schedules, {'id': id});
+        if (!schedule || schedule.type !== 'cron') {
+            return;
+        }
+        schedule.enabled = !schedule.enabled;
+        schedule.next = schedule.enabled ? scheduler.getNextCronRun(scheduler.parseCron(schedule.cron), new Date().getTime()) : null;
+        scheduler.save();
+        scheduler.render.schedules();
+    },
+
+    'tick': function () {
+        var now = new Date().getTime();
+        var changed = false;
+
+        _.forEach(scheduler.schedules, function (schedule) {
+            if (schedule.revertAt && schedule.revertAt <= now) {
+                // A revert that could not be sent is retried until the broker is back, nothing changed until then.
+                if (scheduler.send(schedule, schedule.revert) !== 'offline') {
+                    schedule.revertAt = null;
+                    changed = true;
+                }
+            }
+
+            if (schedule.next && schedule.next <= now) {
+                schedule.result = scheduler.send(schedule, schedule.payload);
+                if (schedule.result === 'success' && schedule.duration > 0) {
+                    schedule.revertAt = now + schedule.duration * 60000;
+                }
+                schedule.lastRun = now;
+                schedule.next = schedule.type === 'cron' ? scheduler.getNextCronRun(scheduler.parseCron(schedule.cron), now) : null;
+                changed = true;
+            }
+        });
+
+        if (!changed) {
+            return;
+        }
+
+        // One-shots are done once they ran and reverted, failed ones stay visible.
+        scheduler.schedules = _.reject(scheduler.schedules, function (schedule) {
+            return schedule.type !== 'cron' && !schedule.next && !schedule.revertAt && schedule.result === 'success';
+        });
+        scheduler.save();
+        scheduler.render.schedules();
+    },
+
+    // Returns the result of the run: 'success', 'queued', 'failed' or 'offline'.
+    'send': function (schedule, payload) {
+        if (!websocketclient.connected) {
+            return 'offline';
+        }
+
+        var cameras = schedule.camera === '*' ?
+            websocketclient.getBrokerCameras() :
+            _.compact([websocketclient.getCamera(schedule.camera)]);
+        var result = cameras.length > 0 ? 'success' : 'failed';
+        _.forEach(cameras, function (camera) {
+            var sent = websocketclient.publish(websocketclient.getCameraTopic(camera, schedule.topic), payload, mqtt_qos, mqtt_retain);
+            if (sent === false) {
+                result = 'failed';
+            } else if (sent === 'queued' && result === 'success') {
+                result = 'queued';
+            }
+        });
+        return result;
+    },
+
+    'parseCron': function (expression) {
+        var parts = $.trim(expression || '').split(/\s+/);
+        if (parts.length !== 5) {
+            return null;
+        }
+
+        var fields = [];
+        for (var i = 0; i < 5; i++) {
+            fields[i] = scheduler.parseCronField(parts[i], scheduler.cronFields[i][0], scheduler.cronFields[i][1]);
+            if (!fields[i]) {
+                return null;
+            }
+        }
+
+        // Sunday may be written as 0 or 7.
+        fields[4][0] = fields[4][0] || fields[4][7];
+
+        return {
+            'minute': fields[0],
+            'hour': fields[1],
+            'day': fields[2],
+            'month': fields[3],
+            'weekday': fields[4],
+            'anyDay': parts[2] === '*',
+            'anyWeekday': parts[4] === '*'
+        };
+    },
+
+    'parseCronField': function (field, min, max) {
+        var values = {};
+        var items = field.split(',');
+
+        for (var i = 0; i < items.length; i++) {
+            var match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(items[i]);
+            if (!match) {
+                return null;
+            }
+
+            var from = match[1] === '*' ? min : parseInt(match[2], 10);
+            var to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from));
+            var step = match[4] ? parseInt(match[4], 10) : 1;
+            if (from < min || to > max || from > to || step < 1) {
+                return null;
+            }
+
+            for (var value = from; value <= to; value += step) {
+                values[value] = true;
+            }
+        }
+        return values;
+    },
+
+    'getNextCronRun': function (cron, from) {
+        var date = new Date(from);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        // Skip whole months, days and hours that can not match. A rule that
+        // never matches (e.g. the 31st of February) gives up after five years.
+        var limit = from + 5 * 366 * 24 * 3600 * 1000;
+        while (date.getTime() < limit) {
+            if (!cron.month[date.getMonth() + 1]) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!scheduler.isCronDay(cron, date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!cron.hour[date.getHours()]) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!cron.minute[date.getMinutes()]) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date.getTime();
+            }
+        }
+        return null;
+    },
+
+    'isCronDay': function (cron, date) {
+        var day = cron.day[date.getDate()];
+        var weekday = cron.weekday[date.getDay()];
+
+        // Like cron, a rule restricting both fields matches either of them.
+        if (cron.anyDay || cron.anyWeekday) {
+            return (cron.anyDay || day) && (cron.anyWeekday || weekday);
+        }
+        return day || weekday;
+    },
+
+    'getDescription': function (schedule) {
+        var text;
+        if (schedule.type === 'cron') {
+            text = i18n.t('schedule.cron', [schedule.cron]);
+        } else if (schedule.type === 'once') {
+            text = i18n.t('schedule.once');
+        } else {
+            text = i18n.t('schedule.timer');
+        }
+        if (schedule.duration > 0) {
+            text += ', ' + i18n.t('schedule.revert', [schedule.duration, schedule.revert]);
+        }
+        return text;
+    },
+
+    'getStatusText': function (schedule) {
+        if (schedule.revertAt) {
+            return i18n.t('schedule.revertAt', [i18n.formatDate(moment(schedule.revertAt))]);
+        }
+        if (schedule.next) {
+            return i18n.t('schedule.next', [i18n.formatDate(moment(schedule.next), 'minutes')]);
+        }
+        if (schedule.type === 'cron' && !schedule.enabled) {
+            return i18n.t('schedule.paused');
+        }
+        if (schedule.result === 'missed') {
+            return i18n.t('schedule.missed');
+        }
+        if (schedule.result === 'offline') {
+            return i18n.t('schedule.offline');
+        }
+        if (schedule.result === 'failed') {
+            return i18n.t('schedule.failed');
+        }
+        if (schedule.result === 'queued') {
+            return i18n.t('schedule.queued');
+        }
+        return i18n.t('schedule.done');
+    },
+
+    'render': {
+
+        'schedules': function () {
+            var html = '';
+            _.forEach(scheduler.schedules, function (schedule) {
+                var camera = schedule.camera === '*' ? i18n.t('camera.all') : schedule.camera;
+                html += '<li class="scheduleLine">' +
+                    '   <div class="row large-12">' +
+                    '       <div class="large-12 columns scheduleText">' +
+                    '           <div class="large-1 columns right closer">' +
+                    '              <a href="#" onclick="scheduler.remove(' + schedule.id + '); return false;">x</a>' +
+                    '           </div>' +
+                    '           <div class="large-8 columns topicM truncate" title="' + Encoder.htmlEncode(camera + schedule.topic, 0) + '">' + Encoder.htmlEncode(camera + schedule.topic) + '</div>' +
+                    '           <div class="large-3 columns payload truncate">' + Encoder.htmlEncode(schedule.payload) + '</div>' +
+                    '           <div class="large-6 columns rule">' + Encoder.htmlEncode(scheduler.getDescription(schedule)) + '</div>' +
+                    '           <div class="large-6 columns next ' + (schedule.result || '') + '">' + Encoder.htmlEncode(scheduler.getStatusText(schedule));
+                if (schedule.type === 'cron') {
+                    html += ' <a href="#" onclick="scheduler.toggle(' + schedule.id + '); return false;">' + i18n.t(schedule.enabled ? 'schedule.pause' : 'schedule.resume') + '</a>';
+                }
+                html += '           </div>' +
+                    '       </div>' +
+                    '   </div>' +
+                    '</li>';
+            });
+            $('#scheduleEdit').html(html);
+        },
+
+        'type': function (type) {
+            var placeholders = {
+                'cron': i18n.t('schedule.cronPlaceholder'),
+                'once': i18n.t('common.datePlaceholder'),
+                'timer': ''
+            };
+            $('#scheduleWhen').attr('placeholder', placeholders[type]).prop('disabled', type === 'timer');
+        }
+    }
+};
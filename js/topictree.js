@@ -0,0 +1,131 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Hierarchical view of every topic the client received a message on. Each
+ * level of a topic is a node that remembers the last payload, the number of
+ * messages and when the last one arrived.
+ */
+var topictree = {
+    'root': null,
+    'nodes': {},
+    'lastNodeId': 0,
+    'frame': null,
+
+    'clear': function () {
+        topictree.nodes = {};
+        topictree.root = topictree.createNode('', '', null);
+        topictree.root.expanded = true;
+        topictree.render.tree();
+    },
+
+    'createNode': function (name, topic, parent) {
+        var node = {
+            'id': topictree.lastNodeId++,
+            'name': name,
+            'topic': topic,
+            'children': {},
+            'count': 0,
+            'value': null,
+            'binary': false,
+            'retained': false,
+            'updated': null,
+            // The first level is open so the cameras are visible right away.
+            'expanded': parent === topictree.root
+        };
+        topictree.nodes[node.id] = node;
+        return node;
+    },
+
+    'add': function (topic, payload, binary, retained) {
+        var node = topictree.root;
+        _.forEach(topic.split('/'), function (level, i, levels) {
+            if (!node.children.hasOwnProperty(level)) {
+                node.children[level] = topictree.createNode(level, levels.slice(0, i + 1).join('/'), node);
+            }
+            node = node.children[level];
+            node.count++;
+        });
+
+        node.value = payload;
+        node.binary = binary;
+        node.retained = retained;
+        node.updated = moment();
+        topictree.schedule();
+    },
+
+    'schedule': function () {
+        if (topictree.frame !== null) {
+            return;
+        }
+        topictree.frame = requestAnimationFrame(function () {
+            topictree.frame = null;
+            topictree.render.tree();
+        });
+    },
+
+    'toggle': function (id) {
+        topictree.nodes[id].expanded = !topictree.nodes[id].expanded;
+        topictree.render.tree();
+    },
+
+    'select': function (id) {
+        var node = topictree.nodes[id];
+        if (node.value === null) {
+            topictree.toggle(id);
+            return;
+        }
+
+        $('#publishTopic').val(node.topic);
+        $('#publishPayload').val(node.binary ? '' : node.value);
+        websocketclient.render.show('publish');
+    },
+
+    'render': {
+
+        'tree': function () {
+            $('#treeEdit').html(topictree.render.children(topictree.root));
+        },
+
+        'children': function (node) {
+            var html = '';
+            _.forEach(_.keys(node.children).sort(), function (name) {
+                html += topictree.render.node(node.children[name]);
+            });
+            return html;
+        },
+
+        'node': function (node) {
+            var hasChildren = !_.isEmpty(node.children);
+            var html = '<li class="treeNode' + (node.value !== null ? ' leaf' : '') + '">' +
+                '   <a class="treeToggle" onclick="topictree.toggle(' + node.id + '); return false;">' +
+                (hasChildren ? (node.expanded ? '&#9662;' : '&#9656;') : '') + '</a>' +
+                '   <a class="treeName" onclick="topictree.select(' + node.id + '); return false;" title="' + Encoder.htmlEncode(node.topic, 0) + '">' +
+                Encoder.htmlEncode(node.name === '' ? i18n.t('tree.emptyLevel') : node.name) + '</a>' +
+                '   <span class="treeCount">' + node.count + '</span>';
+
+            if (node.value !== null) {
+                html += '   <div class="treeValue truncate" title="' + i18n.formatDate(node.updated) + '">' +
+                    '<span class="date">' + i18n.formatDate(node.updated, 'time') + '</span> ' +
+                    (node.retained ? '<span class="treeRetained">R</span> ' : '') +
+                    (node.binary ? i18n.t('payload.binary') : Encoder.htmlEncode(node.value)) +
+                    '</div>';
+            }
+            if (hasChildren && node.expanded) {
+                html += '<ul>' + topictree.render.children(node) + '</ul>';
+            }
+            return html + '</li>';
+        }
+    }
+};
@@ -0,0 +1,146 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Links every command sent to a camera with the status message the camera
+ * answers with. MQTT 5 connections match on the correlation data, older
+ * protocol versions on the status topic of the command.
+ */
+var commandtracker = {
+    'lastCommandId': 1,
+    'pending': [],
+    'history': [],
+    'maxHistory': 50,
+
+    'track': function (topic, payload, source) {
+        // Only commands sent from a control that shows the result are tracked.
+        var command = source ? websocketclient.parseCommandTopic(topic) : null;
+        if (!command) {
+            return null;
+        }
+
+        command.id = 'cmd-' + commandtracker.lastCommandId++;
+        command.topic = topic;
+        command.payload = payload;
+        command.source = source;
+        command.statusTopic = mqtt_prefix + command.camera.id + websocketclient.statusPrefix + command.path.replace(/\/raw$/, '');
+        command.result = 'pending';
+        command.sent = moment();
+        command.timer = setTimeout(function () {
+            commandtracker.resolve(command, 'timeout');
+        }, mqtt_command_timeout * 1000);
+
+        commandtracker.pending.push(command);
+        commandtracker.history.unshift(command);
+        commandtracker.history = commandtracker.history.slice(0, commandtracker.maxHistory);
+        commandtracker.render.result(command);
+        commandtracker.render.history();
+        return command;
+    },
+
+    'getProperties': function (command) {
+        return {
+            'responseTopic': command.statusTopic,
+            'correlationData': command.id
+        };
+    },
+
+    'onMessage': function (message) {
+        var command;
+        var correlationData = message.properties && message.properties.correlationData;
+
+        if (correlationData) {
+            var id = String.fromCharCode.apply(null, correlationData);
+            command = _.find(commandtracker.pending, {'id': id});
+        }
+
+        // Retained messages are old news from before the command was sent.
+        if (!command && !message.retained) {
+            command = _.find(commandtracker.pending, {'statusTopic': message.destinationName});
+        }
+
+        if (!command) {
+            return false;
+        }
+
+        var expected = websocketclient.parseStatusPayload(command.payload);
+        var actual = websocketclient.parseStatusPayload(message.payloadString);
+        commandtracker.resolve(command, expected === actual ? 'success' : 'mismatch', actual);
+        return true;
+    },
+
+    'resolve': function (command, result, value) {
+        clearTimeout(command.timer);
+        command.result = result;
+        command.response = value;
+        command.latency = moment().diff(command.sent);
+        commandtracker.pending = _.filter(commandtracker.pending, function (item) {
+            return item !== command;
+        });
+
+        if (result === 'timeout') {
+            websocketclient.clearPending(command.camera, command.path);
+        }
+
+        commandtracker.render.result(command);
+        commandtracker.render.history();
+    },
+
+    'getResultText': function (command) {
+        switch (command.result) {
+            case 'success':
+                return i18n.t('command.success', [command.latency]);
+            case 'mismatch':
+                return i18n.t('command.mismatch', [command.response, command.latency]);
+            case 'timeout':
+                return i18n.t('command.timeout', [mqtt_command_timeout]);
+            default:
+                return i18n.t('command.pending');
+        }
+    },
+
+    'render': {
+
+        'result': function (command) {
+            if (!command.source) {
+                return;
+            }
+            $(command.source)
+                .attr('class', 'commandResult ' + command.result)
+                .attr('title', commandtracker.getResultText(command));
+        },
+
+        'history': function () {
+            var html = '';
+            _.forEach(commandtracker.history, function (command) {
+                html += '<li class="historyLine">' +
+                    '   <div class="row large-12">' +
+                    '       <div class="large-12 columns historyText">' +
+                    '           <div class="large-3 columns date">' + i18n.formatDate(command.sent) + '</div>' +
+                    '           <div class="large-6 columns topicM truncate" title="' + Encoder.htmlEncode(command.topic, 0) + '">' + Encoder.htmlEncode(command.topic) + '</div>' +
+                    '           <div class="large-3 columns latency">';
+                if (command.latency !== undefined) {
+                    html += command.latency + ' ms';
+                }
+                html += '           </div>' +
+                    '           <div class="large-3 columns payload truncate">' + Encoder.htmlEncode(command.payload) + '</div>' +
+                    '           <div class="large-9 columns result ' + command.result + '">' + Encoder.htmlEncode(commandtracker.getResultText(command)) + '</div>' +
+                    '       </div>' +
+                    '   </div>' +
+                    '</li>';
+            });
+            $("#historyEdit").html(html);
+        }
+    }
+};
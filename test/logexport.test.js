@@ -0,0 +1,79 @@
+/*
+ * Tests for the export and import of the message log in js/logexport.js.
+ * The browser script is loaded into a sandbox with lodash, moment and just
+ * enough of jQuery and i18n for the file to run.
+ */
+var assert = require('assert');
+var fs = require('fs');
+var moment = require('moment');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+
+var sandbox = {
+    '_': require('lodash'),
+    'moment': moment,
+    '$': {'trim': function (text) {
+        return text.trim();
+    }},
+    'i18n': {'t': function (key) {
+        return key;
+    }}
+};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'logexport.js'), 'utf8') +
+    '\nthis.logexport = logexport;', sandbox);
+var logexport = sandbox.logexport;
+
+var messages = [{
+    'topic': 'cameras/115/status/multimedia/privacy/region1/enable',
+    'payload': '{"val":"1"}',
+    'qos': 1,
+    'retained': true,
+    'binary': false,
+    'timestamp': moment('2026-10-19T08:30:00.000Z')
+}, {
+    'topic': 'cameras/115/status/snapshot',
+    'payload': '/9j/4AAQSkZJRg==',
+    'qos': 0,
+    'retained': false,
+    'binary': true,
+    'timestamp': moment('2026-10-19T08:30:01.000Z')
+}];
+
+// JSON.parse inside the sandbox returns arrays of the sandbox realm, Array.from copies them
+// into plain arrays of this one for deepStrictEqual.
+function roundTrip(text) {
+    return Array.from(logexport.parse(text), function (record) {
+        var message = logexport.toMessage(record);
+        return [message.topic, message.payload, message.qos, message.retained, message.binary, message.timestamp.toISOString()];
+    });
+}
+
+function expected() {
+    return messages.map(function (message) {
+        return [message.topic, message.payload, message.qos, message.retained, message.binary, message.timestamp.toISOString()];
+    });
+}
+
+test('a JSON export is imported with its binary flag', function () {
+    var records = messages.map(logexport.toRecord);
+    assert.deepStrictEqual(roundTrip(JSON.stringify(records, null, 2)), expected());
+});
+
+test('an NDJSON export is imported with its binary flag', function () {
+    var text = messages.map(function (message) {
+        return JSON.stringify(logexport.toRecord(message));
+    }).join('\n') + '\n';
+    assert.deepStrictEqual(roundTrip(text), expected());
+});
+
+test('a CSV export is imported with its binary flag', function () {
+    var text = logexport.toCsv(messages.map(logexport.toRecord));
+    assert.strictEqual(text.split('\r\n')[0], 'timestamp,topic,payload,qos,retained,binary');
+    assert.deepStrictEqual(roundTrip(text), expected());
+});
+
+test('a CSV file without binary column is imported as text', function () {
+    var text = 'timestamp,topic,payload,qos,retained\r\n2026-10-19T08:30:00.000Z,cameras/115/a,1,0,false\r\n';
+    assert.deepStrictEqual(roundTrip(text), [['cameras/115/a', '1', 0, false, false, '2026-10-19T08:30:00.000Z']]);
+});
@@ -0,0 +1,58 @@
+/*
+ * Tests for profilemanager.suggest, the source of the broker combobox.
+ * js/profiles.js is a browser script, it is loaded into a sandbox with lodash
+ * and just enough of jQuery UI and the local storage for the file to run.
+ */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+
+function load(cameras, profiles) {
+    var sandbox = {
+        '_': require('lodash'),
+        '$': {'ui': {'autocomplete': {'escapeRegex': function (value) {
+            return value.replace(/[\-\[\]{}()*+?.,\\\^$|#\s]/g, '\\$&');
+        }}}},
+        'localStorage': {'getItem': function () {
+            return JSON.stringify(profiles || []);
+        }},
+        'mqtt_broker': '192.168.2.115',
+        'mqtt_cameras': cameras
+    };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'profiles.js'), 'utf8') +
+        '\nthis.profilemanager = profilemanager;', sandbox);
+    return sandbox.profilemanager;
+}
+
+function values(suggestions) {
+    return suggestions.map(function (suggestion) {
+        return suggestion.value;
+    });
+}
+
+test('the broker from config.js is suggested', function () {
+    var profilemanager = load([{'id': '115/', 'name': 'camera.115'}]);
+    assert.deepStrictEqual(values(profilemanager.suggest('')), ['192.168.2.115']);
+});
+
+test('a camera with its own broker is suggested once next to mqtt_broker', function () {
+    var profilemanager = load([
+        {'id': '115/', 'name': 'camera.115'},
+        {'id': '116/', 'name': 'camera.116', 'broker': '192.168.2.116'},
+        {'id': '117/', 'name': 'camera.117', 'broker': '192.168.2.116'}
+    ]);
+    assert.deepStrictEqual(values(profilemanager.suggest('')), ['192.168.2.115', '192.168.2.116']);
+    assert.deepStrictEqual(values(profilemanager.suggest('116')), ['192.168.2.116']);
+});
+
+test('profiles come first and fill in their host', function () {
+    var profilemanager = load([{'id': '116/', 'broker': '192.168.2.116'}], [
+        {'name': 'Garage', 'host': '192.168.2.120', 'port': 1885}
+    ]);
+    var suggestions = profilemanager.suggest('garage');
+    assert.strictEqual(suggestions.length, 1);
+    assert.strictEqual(suggestions[0].value, '192.168.2.120');
+    assert.strictEqual(suggestions[0].profile, 'Garage');
+});
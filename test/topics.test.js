@@ -0,0 +1,78 @@
+/*
+ * Tests for websocketclient.compareTopics, the MQTT topic filter matcher.
+ * js/app.js is a browser script, it is loaded into a sandbox that provides
+ * just enough of the window for the file to run.
+ */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+
+var sandbox = {
+    'window': {'location': {'search': ''}},
+    'URLSearchParams': URLSearchParams
+};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'app.js'), 'utf8') +
+    '\nthis.websocketclient = websocketclient;', sandbox);
+
+function matches(topic, filter) {
+    return sandbox.websocketclient.compareTopics(topic, filter);
+}
+
+test('a filter without wildcards only matches the same topic', function () {
+    assert.strictEqual(matches('cameras/115/status', 'cameras/115/status'), true);
+    assert.strictEqual(matches('cameras/115/status', 'cameras/115'), false);
+    assert.strictEqual(matches('cameras/115', 'cameras/115/status'), false);
+    assert.strictEqual(matches('Cameras/115', 'cameras/115'), false);
+});
+
+test('+ matches exactly one level', function () {
+    assert.strictEqual(matches('cameras/115/status', 'cameras/+/status'), true);
+    assert.strictEqual(matches('cameras/115/status', '+/+/+'), true);
+    assert.strictEqual(matches('cameras/115/status/alarm', 'cameras/+/status'), false);
+    assert.strictEqual(matches('cameras/status', 'cameras/+/status'), false);
+    assert.strictEqual(matches('cameras', 'cameras/+'), false);
+});
+
+test('# matches any number of levels below', function () {
+    assert.strictEqual(matches('cameras/115/status', 'cameras/#'), true);
+    assert.strictEqual(matches('cameras/115/status/alarm', 'cameras/+/#'), true);
+    assert.strictEqual(matches('cameras/115', '#'), true);
+    assert.strictEqual(matches('webclient/lwt', 'cameras/#'), false);
+});
+
+test('# also matches the parent level', function () {
+    assert.strictEqual(matches('cameras', 'cameras/#'), true);
+    assert.strictEqual(matches('cameras/115', 'cameras/115/#'), true);
+    assert.strictEqual(matches('cameras', 'cameras/115/#'), false);
+});
+
+test('# is only valid as the last level', function () {
+    assert.strictEqual(matches('cameras/115/status', 'cameras/#/status'), false);
+});
+
+test('topics starting with $ are not matched by a leading wildcard', function () {
+    assert.strictEqual(matches('$SYS/broker/uptime', '#'), false);
+    assert.strictEqual(matches('$SYS/broker/uptime', '+/broker/uptime'), false);
+    assert.strictEqual(matches('$SYS/broker/uptime', '$SYS/#'), true);
+    assert.strictEqual(matches('$SYS/broker/uptime', '$SYS/+/uptime'), true);
+});
+
+test('$share/<group>/ filters match the topics of the filter behind the group', function () {
+    assert.strictEqual(matches('cameras/115/status', '$share/web/cameras/#'), true);
+    assert.strictEqual(matches('cameras/115/status', '$share/web/cameras/+/status'), true);
+    assert.strictEqual(matches('cameras/115/status', '$share/web/webclient/#'), false);
+    assert.strictEqual(matches('web/cameras/115', '$share/web/cameras/#'), false);
+});
+
+test('empty levels are levels of their own', function () {
+    assert.strictEqual(matches('/cameras', '/cameras'), true);
+    assert.strictEqual(matches('/cameras', 'cameras'), false);
+    assert.strictEqual(matches('/cameras', '+/cameras'), true);
+    assert.strictEqual(matches('/cameras', '#'), true);
+    assert.strictEqual(matches('cameras//status', 'cameras/+/status'), true);
+    assert.strictEqual(matches('cameras//status', 'cameras/status'), false);
+    assert.strictEqual(matches('cameras/', 'cameras/+'), true);
+    assert.strictEqual(matches('cameras/', 'cameras'), false);
+});